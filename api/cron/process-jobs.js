@@ -0,0 +1,48 @@
+/**
+ * Vercel Cron Job - Background job worker
+ * Runs every minute to process queued jobs (e.g. draft order creation for new inquiries)
+ *
+ * Vercel sends CRON_SECRET as a bearer token; when it is set, other callers are rejected.
+ * You can also call it manually for testing
+ */
+
+const { processJobs, getJobCounts } = require('../../src/services/jobService');
+
+// Stay inside the function's max duration
+const TIME_BUDGET_MS = 45000;
+
+module.exports = async (req, res) => {
+  // Only allow GET requests (Vercel Cron uses GET)
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (process.env.CRON_SECRET && req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const summary = await processJobs({ timeBudgetMs: TIME_BUDGET_MS });
+    const counts = await getJobCounts();
+
+    if (summary.processed > 0) {
+      console.log('Job worker results:', JSON.stringify(summary));
+    }
+
+    res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      results: summary,
+      queue: counts
+    });
+  } catch (error) {
+    console.error('❌ Job worker failed:', error);
+
+    res.status(500).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: error.message,
+      message: 'Job worker encountered an error'
+    });
+  }
+};
@@ -24,6 +24,16 @@ function getAdminApiUrl() {
   return `https://${domain}/admin/api/${shopifyConfig.apiVersion}`;
 }
 
+/**
+ * Get a Shopify admin (web UI) URL, e.g. getStoreAdminUrl('draft_orders/123')
+ * Returns null when SHOPIFY_STORE_DOMAIN is not set
+ */
+function getStoreAdminUrl(path) {
+  if (!shopifyConfig.storeDomain) return null;
+  const domain = shopifyConfig.storeDomain.replace(/^https?:\/\//, '');
+  return `https://${domain}/admin/${path}`;
+}
+
 /**
  * Get Shopify Admin API headers
  */
@@ -40,6 +50,7 @@ function getAdminHeaders() {
 module.exports = {
   shopifyConfig,
   getAdminApiUrl,
+  getStoreAdminUrl,
   getAdminHeaders
 };
 
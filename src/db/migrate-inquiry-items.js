@@ -0,0 +1,92 @@
+/**
+ * Inquiry Items Migration Script
+ *
+ * Creates the inquiry_items table (if missing) and backfills it from the
+ * product_details text of existing inquiries. The text only has quantity,
+ * title and price, so backfilled items have no product/variant ID or SKU and
+ * are marked source = 'parsed'. Lines that don't parse are left in
+ * product_details only.
+ *
+ * Safe to run more than once - inquiries that already have items are skipped.
+ *
+ * Usage:
+ *   npm run db:migrate-inquiry-items
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { query, pool } = require('./config');
+const { replaceInquiryItems } = require('../services/inquiryService');
+const { parseProductDetails } = require('../utils/productDetails');
+
+const SCHEMA_FILE = path.join(__dirname, 'schema.sql');
+const BATCH_SIZE = 500;
+
+/**
+ * Pull the inquiry_items CREATE TABLE statement out of schema.sql
+ */
+function getCreateTableStatement() {
+  const schema = fs.readFileSync(SCHEMA_FILE, 'utf8');
+  const match = /CREATE TABLE inquiry_items \([\s\S]*?\n\);/.exec(schema);
+  if (!match) {
+    throw new Error('inquiry_items table not found in schema.sql');
+  }
+  return match[0].replace('CREATE TABLE', 'CREATE TABLE IF NOT EXISTS');
+}
+
+async function migrateInquiryItems() {
+  try {
+    console.log('🔄 Migrating inquiry line items...\n');
+
+    await query(getCreateTableStatement());
+    console.log('   ✅ inquiry_items table ready');
+
+    let lastId = 0;
+    let backfilled = 0;
+    let itemCount = 0;
+    let unparsed = 0;
+
+    for (;;) {
+      const inquiries = await query(`
+        SELECT i.id, i.product_details
+        FROM inquiries i
+        WHERE i.id > ? AND i.product_details IS NOT NULL AND i.product_details <> ''
+          AND NOT EXISTS (SELECT 1 FROM inquiry_items ii WHERE ii.inquiry_id = i.id)
+        ORDER BY i.id
+        LIMIT ${BATCH_SIZE}
+      `, [lastId]);
+      if (inquiries.length === 0) break;
+
+      for (const inquiry of inquiries) {
+        const parsed = parseProductDetails(inquiry.product_details);
+        if (parsed.length === 0) {
+          unparsed++;
+          continue;
+        }
+
+        await replaceInquiryItems(inquiry.id, parsed.map(item => ({
+          name: item.title,
+          quantity: item.quantity,
+          price: item.priceCents
+        })), 'parsed');
+        backfilled++;
+        itemCount += parsed.length;
+      }
+
+      lastId = inquiries[inquiries.length - 1].id;
+    }
+
+    console.log(`   ✅ Backfilled ${itemCount} item(s) for ${backfilled} inquiry(ies)`);
+    if (unparsed > 0) {
+      console.log(`   ⚠️  ${unparsed} inquiry(ies) had product details that couldn't be parsed - left as text only`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateInquiryItems();
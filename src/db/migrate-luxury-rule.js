@@ -0,0 +1,63 @@
+/**
+ * Luxury Rule Migration Script
+ *
+ * Creates the shipping_rules table (if missing) and moves the former
+ * hard-coded luxury free-shipping check into it as the first rule.
+ * The tag comes from LUXURY_FREE_SHIPPING_TAG (default: luxury).
+ * New databases run it too - schema.sql doesn't seed the rule.
+ *
+ * Safe to run more than once - skips when a FREE_LUXURY rule already exists.
+ *
+ * Usage:
+ *   npm run db:migrate-luxury-rule
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { query, pool } = require('./config');
+
+const SCHEMA_FILE = path.join(__dirname, 'schema.sql');
+
+/**
+ * Pull the shipping_rules CREATE TABLE statement out of schema.sql
+ */
+function getCreateTableStatement() {
+  const schema = fs.readFileSync(SCHEMA_FILE, 'utf8');
+  const match = /CREATE TABLE shipping_rules \([\s\S]*?\n\);/.exec(schema);
+  if (!match) {
+    throw new Error('shipping_rules table not found in schema.sql');
+  }
+  return match[0].replace('CREATE TABLE', 'CREATE TABLE IF NOT EXISTS');
+}
+
+async function migrateLuxuryRule() {
+  try {
+    console.log('🔄 Migrating luxury free shipping rule...\n');
+
+    await query(getCreateTableStatement());
+    console.log('   ✅ shipping_rules table ready');
+
+    const existing = await query('SELECT id, product_tags FROM shipping_rules WHERE service_code = ?', ['FREE_LUXURY']);
+    if (existing.length > 0) {
+      console.log(`   ⏭️  Luxury rule already exists (ID: ${existing[0].id}, tags: ${existing[0].product_tags})`);
+      return;
+    }
+
+    const luxuryTag = (process.env.LUXURY_FREE_SHIPPING_TAG || 'luxury').toLowerCase();
+    const result = await query(`
+      INSERT INTO shipping_rules (name, sort_order, product_tags, action, service_name, service_code, description)
+      VALUES (?, 0, ?, 'free', 'Complimentary Delivery', 'FREE_LUXURY', 'Complimentary shipping on luxury items')
+    `, ['Luxury free shipping', luxuryTag]);
+
+    console.log(`   ✅ Created luxury rule (ID: ${result.insertId}, tag: ${luxuryTag})`);
+    console.log('\n   LUXURY_FREE_SHIPPING_TAG is no longer read at checkout - edit the rule via /shipping-rules instead.\n');
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateLuxuryRule();
@@ -0,0 +1,169 @@
+/**
+ * Schema Migration Script
+ *
+ * Brings a database created from an older schema.sql up to date:
+ * - creates tables added since (CREATE TABLE IF NOT EXISTS, from schema.sql)
+ * - adds the columns and indexes added to existing tables (ALTER TABLE ... ADD)
+ * - widens changed ENUMs (ALTER TABLE ... MODIFY)
+ *
+ * Columns and indexes are checked in information_schema first, so the script
+ * is safe to run more than once - anything already there is skipped.
+ *
+ * Usage:
+ *   npm run db:migrate-schema
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { query, pool } = require('./config');
+
+const SCHEMA_FILE = path.join(__dirname, 'schema.sql');
+
+// Columns added to tables that existed before; in schema.sql order
+const COLUMNS = [
+  // Zone precedence (warehouse priority)
+  { table: 'warehouses', column: 'priority', definition: 'INT NOT NULL DEFAULT 0' },
+  // Distance-based pricing
+  { table: 'warehouses', column: 'pricing_mode', definition: "ENUM('flat','distance') DEFAULT 'flat'" },
+  { table: 'warehouses', column: 'distance_base_cents', definition: 'INT NULL' },
+  { table: 'warehouses', column: 'max_distance_km', definition: 'DECIMAL(7,1) NULL' },
+  // Click-and-collect
+  { table: 'warehouses', column: 'pickup_enabled', definition: 'BOOLEAN DEFAULT FALSE' },
+  { table: 'warehouses', column: 'pickup_postcodes', definition: 'TEXT NULL' },
+  // Delivery date estimates
+  { table: 'warehouses', column: 'dispatch_cutoff', definition: 'TIME NULL' },
+  // Range and exclusion zones
+  { table: 'zones', column: 'range_end', definition: 'VARCHAR(10) NULL' },
+  { table: 'zones', column: 'exclude', definition: 'BOOLEAN DEFAULT FALSE' },
+  // Delivery date estimates
+  { table: 'zones', column: 'lead_time_min_days', definition: 'INT NULL' },
+  { table: 'zones', column: 'lead_time_max_days', definition: 'INT NULL' },
+  // Product restrictions
+  { table: 'inquiries', column: 'inquiry_reason', definition: 'TEXT NULL' },
+  // Guest checkout dedupe
+  { table: 'inquiries', column: 'session_hash', definition: 'CHAR(64) NULL' },
+  // Inquiry workflow
+  { table: 'inquiries', column: 'assigned_to', definition: 'VARCHAR(150) NULL' },
+  { table: 'inquiries', column: 'internal_notes', definition: 'TEXT NULL' },
+  // Draft order and order sync
+  { table: 'inquiries', column: 'draft_order_status', definition: 'VARCHAR(20) NULL' },
+  // Quoting
+  { table: 'inquiries', column: 'quoted_cents', definition: 'INT NULL' },
+  { table: 'inquiries', column: 'quote_message', definition: 'TEXT NULL' },
+  { table: 'inquiries', column: 'quoted_at', definition: 'TIMESTAMP NULL' },
+  // Draft order and order sync
+  { table: 'inquiries', column: 'shop_order_name', definition: 'VARCHAR(50) NULL' },
+  { table: 'inquiries', column: 'order_linked_at', definition: 'TIMESTAMP NULL' },
+  // Collection conditions for shipping rules
+  { table: 'shipping_rules', column: 'product_collections', definition: 'TEXT NULL' },
+  { table: 'product_cache', column: 'collections', definition: 'TEXT NULL' }
+];
+
+// Indexes added to tables that existed before
+const INDEXES = [
+  { table: 'inquiries', index: 'idx_postcode', columns: 'postcode' },
+  { table: 'inquiries', index: 'idx_email', columns: 'email' },
+  { table: 'inquiries', index: 'idx_session_hash', columns: 'session_hash' },
+  { table: 'inquiries', index: 'idx_draft_order_id', columns: 'draft_order_id' },
+  { table: 'inquiries', index: 'idx_shop_order_id', columns: 'shop_order_id' },
+  { table: 'inquiries', index: 'idx_assigned_to', columns: 'assigned_to' }
+];
+
+// ENUM columns whose values changed; MODIFY is skipped when the type already matches
+const ENUMS = [
+  {
+    table: 'inquiries',
+    column: 'status',
+    values: ['new', 'reviewed', 'quoted', 'awaiting_customer', 'won', 'lost', 'undeliverable', 'closed'],
+    definition: "DEFAULT 'new'"
+  }
+];
+
+/**
+ * Pull every CREATE TABLE statement out of schema.sql, as IF NOT EXISTS
+ */
+function getCreateTableStatements() {
+  const schema = fs.readFileSync(SCHEMA_FILE, 'utf8');
+  const statements = schema.match(/CREATE TABLE \w+ \([\s\S]*?\n\);/g) || [];
+  return statements.map(statement => ({
+    table: /CREATE TABLE (\w+)/.exec(statement)[1],
+    sql: statement.replace('CREATE TABLE', 'CREATE TABLE IF NOT EXISTS')
+  }));
+}
+
+async function getExistingTables() {
+  const rows = await query('SELECT TABLE_NAME AS name FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE()');
+  return new Set(rows.map(row => row.name));
+}
+
+async function getColumnType(table, column) {
+  const rows = await query(`
+    SELECT COLUMN_TYPE AS type FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+  return rows.length > 0 ? rows[0].type : null;
+}
+
+async function hasIndex(table, index) {
+  const rows = await query(`
+    SELECT 1 FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+    LIMIT 1
+  `, [table, index]);
+  return rows.length > 0;
+}
+
+async function migrateSchema() {
+  try {
+    console.log('🔄 Migrating database schema...\n');
+
+    const existingTables = await getExistingTables();
+    let created = 0;
+    for (const { table, sql } of getCreateTableStatements()) {
+      if (existingTables.has(table)) continue;
+      await query(sql);
+      console.log(`   ✅ Created table ${table}`);
+      created++;
+    }
+
+    let added = 0;
+    for (const { table, column, definition } of COLUMNS) {
+      if (await getColumnType(table, column)) continue;
+      await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`   ✅ Added ${table}.${column}`);
+      added++;
+    }
+
+    let indexed = 0;
+    for (const { table, index, columns } of INDEXES) {
+      if (await hasIndex(table, index)) continue;
+      await query(`ALTER TABLE ${table} ADD INDEX ${index} (${columns})`);
+      console.log(`   ✅ Added index ${table}.${index}`);
+      indexed++;
+    }
+
+    let modified = 0;
+    for (const { table, column, values, definition } of ENUMS) {
+      const type = await getColumnType(table, column);
+      const expected = `enum(${values.map(value => `'${value}'`).join(',')})`;
+      if (!type || type === expected) continue;
+      await query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${expected.replace('enum', 'ENUM')} ${definition}`);
+      console.log(`   ✅ Changed ${table}.${column} to ${expected}`);
+      modified++;
+    }
+
+    if (created + added + indexed + modified === 0) {
+      console.log('   ⏭️  Schema already up to date');
+    } else {
+      console.log(`\n   Created ${created} table(s), added ${added} column(s) and ${indexed} index(es), changed ${modified} column type(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateSchema();
@@ -18,53 +18,18 @@
 require('dotenv').config();
 const { query, pool, testConnection } = require('./config');
 
-// Import zone definitions from migrate script
+// NSW/VIC coverage as inclusive ranges, with ACT carved out by exclusion zones
 const NSW_VIC_ZONES = [
   // VICTORIA
-  { postcode: '3', prefix: true, note: 'VIC: All Victoria postcodes (3000-3999)' },
-  { postcode: '8', prefix: true, note: 'VIC: Victoria LVRs/PO Boxes (8000-8999)' },
-
-  // NSW - 1000-1999
-  { postcode: '1', prefix: true, note: 'NSW: LVRs and PO Boxes (1000-1999)' },
-
-  // NSW - 2000-2599
-  { postcode: '20', prefix: true, note: 'NSW: Sydney area (2000-2099)' },
-  { postcode: '21', prefix: true, note: 'NSW: Sydney suburbs (2100-2199)' },
-  { postcode: '22', prefix: true, note: 'NSW: Sydney suburbs (2200-2299)' },
-  { postcode: '23', prefix: true, note: 'NSW: Sydney suburbs (2300-2399)' },
-  { postcode: '24', prefix: true, note: 'NSW: Central NSW (2400-2499)' },
-  { postcode: '25', prefix: true, note: 'NSW: Central NSW (2500-2599)' },
-
-  // NSW - 2619-2899 (avoiding ACT 2600-2618)
-  { postcode: '2619', prefix: false, note: 'NSW: Jerrabomberra (exact match)' },
-  { postcode: '262', prefix: true, note: 'NSW: Queanbeyan area (2620-2629)' },
-  { postcode: '263', prefix: true, note: 'NSW: Southern Tablelands (2630-2639)' },
-  { postcode: '264', prefix: true, note: 'NSW: Southern Tablelands (2640-2649)' },
-  { postcode: '265', prefix: true, note: 'NSW: Riverina (2650-2659)' },
-  { postcode: '266', prefix: true, note: 'NSW: Riverina (2660-2669)' },
-  { postcode: '267', prefix: true, note: 'NSW: Riverina (2670-2679)' },
-  { postcode: '268', prefix: true, note: 'NSW: Riverina (2680-2689)' },
-  { postcode: '269', prefix: true, note: 'NSW: Riverina (2690-2699)' },
-  { postcode: '27', prefix: true, note: 'NSW: Western NSW (2700-2799)' },
-  { postcode: '28', prefix: true, note: 'NSW: Far Western NSW (2800-2899)' },
-
-  // NSW - 2921-2999 (avoiding ACT 2900-2920)
-  { postcode: '2921', prefix: false, note: 'NSW: (exact match)' },
-  { postcode: '2922', prefix: false, note: 'NSW: (exact match)' },
-  { postcode: '2923', prefix: false, note: 'NSW: (exact match)' },
-  { postcode: '2924', prefix: false, note: 'NSW: (exact match)' },
-  { postcode: '2925', prefix: false, note: 'NSW: (exact match)' },
-  { postcode: '2926', prefix: false, note: 'NSW: (exact match)' },
-  { postcode: '2927', prefix: false, note: 'NSW: (exact match)' },
-  { postcode: '2928', prefix: false, note: 'NSW: (exact match)' },
-  { postcode: '2929', prefix: false, note: 'NSW: (exact match)' },
-  { postcode: '293', prefix: true, note: 'NSW: (2930-2939)' },
-  { postcode: '294', prefix: true, note: 'NSW: (2940-2949)' },
-  { postcode: '295', prefix: true, note: 'NSW: (2950-2959)' },
-  { postcode: '296', prefix: true, note: 'NSW: (2960-2969)' },
-  { postcode: '297', prefix: true, note: 'NSW: (2970-2979)' },
-  { postcode: '298', prefix: true, note: 'NSW: (2980-2989)' },
-  { postcode: '299', prefix: true, note: 'NSW: (2990-2999)' },
+  { postcode: '3000', range_end: '3999', note: 'VIC: All Victoria postcodes (3000-3999)' },
+  { postcode: '8000', range_end: '8999', note: 'VIC: Victoria LVRs/PO Boxes (8000-8999)' },
+
+  // NSW (1000-1999 LVRs/PO Boxes, 2000-2999 delivery area)
+  { postcode: '1000', range_end: '2999', note: 'NSW: LVRs, PO Boxes and delivery area (1000-2999)' },
+
+  // ACT postcodes inside the NSW range
+  { postcode: '2600', range_end: '2618', exclude: true, note: 'ACT: Canberra (2600-2618) excluded' },
+  { postcode: '2900', range_end: '2920', exclude: true, note: 'ACT: Tuggeranong/Gungahlin (2900-2920) excluded' },
 ];
 
 async function showCurrentState() {
@@ -150,12 +115,14 @@ async function resetAndMigrate() {
     let insertedCount = 0;
     for (const zone of NSW_VIC_ZONES) {
       await query(`
-        INSERT INTO zones (warehouse_id, postcode, prefix, note)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO zones (warehouse_id, postcode, prefix, range_end, exclude, note)
+        VALUES (?, ?, ?, ?, ?, ?)
       `, [
         warehouseId,
         zone.postcode,
         zone.prefix ? 1 : 0,
+        zone.range_end || null,
+        zone.exclude ? 1 : 0,
         zone.note
       ]);
       insertedCount++;
@@ -14,6 +14,13 @@ CREATE TABLE warehouses (
     postcode VARCHAR(10),
     status ENUM('active','inactive') DEFAULT 'active',
     shopify_location_id BIGINT NULL,
+    priority INT NOT NULL DEFAULT 0,   -- higher wins when equally specific zones overlap
+    pricing_mode ENUM('flat','distance') DEFAULT 'flat', -- 'distance' prices from postcode_distances
+    distance_base_cents INT NULL,      -- base fee for distance pricing
+    max_distance_km DECIMAL(7,1) NULL, -- beyond this distance the INQUIRY rate is returned
+    pickup_enabled BOOLEAN DEFAULT FALSE, -- offer a free click-and-collect rate
+    pickup_postcodes TEXT NULL,        -- e.g. '2000-2234,30*'; NULL = offer pickup to every postcode
+    dispatch_cutoff TIME NULL,         -- local time (state time zone) orders must be in by to dispatch same business day
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -22,6 +29,10 @@ CREATE TABLE zones (
     warehouse_id INT NOT NULL,
     postcode VARCHAR(10) NOT NULL,    -- store '3000' or '30*' for prefixes/wildcards
     prefix BOOLEAN DEFAULT FALSE,     -- true if postcode stored as prefix pattern
+    range_end VARCHAR(10) NULL,       -- set for range zones: postcode..range_end inclusive
+    exclude BOOLEAN DEFAULT FALSE,    -- true for exclusion zones that remove coverage
+    lead_time_min_days INT NULL,      -- business days from dispatch; NULL = no delivery date estimate
+    lead_time_max_days INT NULL,
     note VARCHAR(255) NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE CASCADE,
@@ -39,9 +50,248 @@ CREATE TABLE inquiries (
     address TEXT,
     postcode VARCHAR(10),
     product_details TEXT,
-    status ENUM('new','reviewed','closed') DEFAULT 'new',
+    inquiry_reason TEXT NULL,          -- why no automated rate was offered (e.g. product restrictions)
+    session_hash CHAR(64) NULL,        -- checkout fingerprint, dedupes repeat carrier callbacks from guests
+    status ENUM('new','reviewed','quoted','awaiting_customer','won','lost','undeliverable','closed') DEFAULT 'new',
+    assigned_to VARCHAR(150) NULL,        -- staff member handling the inquiry
+    internal_notes TEXT NULL,             -- staff-only notes (never sent to the customer)
+    draft_order_status VARCHAR(20) NULL,  -- Shopify draft status: open, invoice_sent, completed
+    quoted_cents INT NULL,                -- shipping price sent to the customer
+    quote_message TEXT NULL,              -- message included in the invoice email
+    quoted_at TIMESTAMP NULL,
+    shop_order_name VARCHAR(50) NULL,     -- e.g. '#1042'
+    order_linked_at TIMESTAMP NULL,       -- when the Shopify order was linked
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     INDEX idx_status (status),
+    INDEX idx_postcode (postcode),
+    INDEX idx_email (email),
+    INDEX idx_session_hash (session_hash),
+    INDEX idx_draft_order_id (draft_order_id),
+    INDEX idx_shop_order_id (shop_order_id),
+    INDEX idx_assigned_to (assigned_to)
+);
+
+-- Cart line items for an inquiry (from the carrier callback payload)
+CREATE TABLE inquiry_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    inquiry_id INT NOT NULL,
+    product_id BIGINT NULL,
+    variant_id BIGINT NULL,
+    sku VARCHAR(255) NULL,
+    title VARCHAR(255) NOT NULL,
+    vendor VARCHAR(255) NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    price_cents INT NOT NULL DEFAULT 0,   -- unit price
+    grams INT NOT NULL DEFAULT 0,         -- unit weight
+    requires_shipping BOOLEAN DEFAULT TRUE,
+    source ENUM('carrier','parsed') DEFAULT 'carrier',  -- parsed = recovered from legacy product_details text
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (inquiry_id) REFERENCES inquiries(id) ON DELETE CASCADE,
+    INDEX idx_inquiry_id (inquiry_id),
+    INDEX idx_product_id (product_id)
+);
+
+-- Append-only log of inquiry changes (status, assignee, notes, quotes, Shopify links)
+CREATE TABLE inquiry_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    inquiry_id INT NOT NULL,
+    field VARCHAR(50) NOT NULL,           -- e.g. 'status', 'assigned_to', 'internal_notes', 'quoted_cents', 'shop_order_id'
+    old_value TEXT NULL,
+    new_value TEXT NULL,
+    reason TEXT NULL,                     -- why the change was made
+    changed_by VARCHAR(150) NOT NULL,     -- staff member, or 'shopify' / 'system' for automatic changes
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (inquiry_id) REFERENCES inquiries(id) ON DELETE CASCADE,
+    INDEX idx_inquiry_created (inquiry_id, created_at)
+);
+
+
+CREATE TABLE shipping_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    warehouse_id INT NOT NULL,
+    zone_id INT NULL,                          -- set when the rate applies to a single zone
+    postcode_pattern VARCHAR(10) NULL,         -- set when the rate applies to a prefix, e.g. '265'
+    price_cents INT NOT NULL,                  -- rate in cents (5900 = $59.00)
+    service_name VARCHAR(100) NULL,            -- overrides 'Standard Delivery' when set
+    note VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE CASCADE,
+    FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    INDEX idx_warehouse_id (warehouse_id),
+    INDEX idx_zone_id (zone_id)
+);
+
+CREATE TABLE weight_bands (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    warehouse_id INT NULL,                     -- NULL = applies to every warehouse
+    zone_id INT NULL,                          -- set when the band applies to a single zone
+    min_grams INT NOT NULL DEFAULT 0,          -- inclusive lower bound of cart weight
+    max_grams INT NULL,                        -- exclusive upper bound, NULL = no upper limit
+    surcharge_cents INT NOT NULL DEFAULT 0,    -- added once to the zone rate
+    per_item_cents INT NOT NULL DEFAULT 0,     -- added per unit (line item quantity)
+    note VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE CASCADE,
+    FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    INDEX idx_warehouse_id (warehouse_id)
+);
+
+CREATE TABLE postcode_distances (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    warehouse_id INT NOT NULL,
+    postcode VARCHAR(10) NOT NULL,
+    suburb VARCHAR(100) NOT NULL,
+    distance_km DECIMAL(7,1) NOT NULL,         -- approximate drive distance from the warehouse
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_warehouse_postcode_suburb (warehouse_id, postcode, suburb),
     INDEX idx_postcode (postcode)
 );
 
+CREATE TABLE distance_brackets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    warehouse_id INT NOT NULL,
+    min_km DECIMAL(7,1) NOT NULL DEFAULT 0,    -- inclusive start of the tier
+    max_km DECIMAL(7,1) NULL,                  -- end of the tier, NULL = no upper limit
+    per_km_cents INT NOT NULL,                 -- charged for every km travelled within the tier
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE CASCADE,
+    INDEX idx_warehouse_id (warehouse_id)
+);
+
+CREATE TABLE service_levels (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    warehouse_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,                -- shown to the customer, e.g. 'Express Delivery'
+    service_code VARCHAR(50) NOT NULL,         -- returned to Shopify, e.g. 'EXPRESS'
+    price_type ENUM('fixed','add','percent') NOT NULL DEFAULT 'add', -- fixed price, standard + cents, or % of standard
+    price_value INT NOT NULL,                  -- cents for fixed/add, percentage for percent
+    description VARCHAR(255) NULL,
+    postcodes TEXT NULL,                       -- e.g. '2000-2234,30*,3150'; NULL = all covered postcodes
+    active BOOLEAN DEFAULT TRUE,
+    sort_order INT NOT NULL DEFAULT 0,
+    lead_time_min_days INT NULL,               -- NULL = use the matched zone's lead times
+    lead_time_max_days INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_warehouse_service_code (warehouse_id, service_code)
+);
+
+CREATE TABLE public_holidays (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    state VARCHAR(10) NOT NULL DEFAULT 'ALL', -- 'NSW', 'VIC', ... or 'ALL' for national holidays
+    holiday_date DATE NOT NULL,
+    name VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_state_date (state, holiday_date),
+    INDEX idx_holiday_date (holiday_date)
+);
+
+CREATE TABLE shipping_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    sort_order INT NOT NULL DEFAULT 0,         -- rules are evaluated in order; the first match wins
+    active BOOLEAN DEFAULT TRUE,
+    -- Conditions (NULL = not checked; all set conditions must hold)
+    product_tags TEXT NULL,                    -- comma-separated; any cart product has any tag
+    product_vendors TEXT NULL,                 -- comma-separated; any cart item has any vendor
+    product_collections TEXT NULL,             -- comma-separated collection handles; any cart product is in any
+    min_subtotal_cents INT NULL,               -- cart subtotal (price × quantity), inclusive
+    max_subtotal_cents INT NULL,               -- exclusive
+    min_weight_grams INT NULL,                 -- cart weight, inclusive
+    max_weight_grams INT NULL,                 -- exclusive
+    postcodes TEXT NULL,                       -- e.g. '2000-2234,30*,3150'
+    warehouse_id INT NULL,                     -- postcode must match one of this warehouse's zones
+    starts_at DATETIME NULL,                   -- promotion window (server time zone)
+    ends_at DATETIME NULL,
+    -- Action
+    action ENUM('free','discount','fixed') NOT NULL DEFAULT 'free', -- free replaces all rates; discount/fixed reprice the standard rate
+    action_value INT NULL,                     -- percent off for discount, cents for fixed
+    service_name VARCHAR(100) NULL,            -- rate name for free rules
+    service_code VARCHAR(50) NULL,             -- rate code for free rules
+    description VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE CASCADE,
+    INDEX idx_sort_order (sort_order)
+);
+
+-- The luxury free-shipping rule is added by `npm run db:migrate-luxury-rule` (tag from LUXURY_FREE_SHIPPING_TAG)
+
+CREATE TABLE product_restrictions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    active BOOLEAN DEFAULT TRUE,
+    -- Which products: a tag, or a metafield (optionally with a required value)
+    product_tag VARCHAR(255) NULL,             -- e.g. 'oversized'
+    metafield_namespace VARCHAR(100) NULL,     -- e.g. 'shipping'
+    metafield_key VARCHAR(100) NULL,           -- e.g. 'handling'
+    metafield_value VARCHAR(255) NULL,         -- NULL = any non-empty value
+    -- What happens
+    action ENUM('inquiry','surcharge','restrict_warehouses') NOT NULL,
+    surcharge_cents INT NULL,                  -- surcharge: added to the delivery rate
+    per_unit BOOLEAN DEFAULT TRUE,             -- surcharge: multiply by line item quantity
+    warehouse_ids VARCHAR(255) NULL,           -- restrict_warehouses: e.g. '1,2'
+    exempt_postcodes TEXT NULL,                -- restriction does not apply here, e.g. metro '2000-2234,3000-3207'
+    reason VARCHAR(255) NULL,                  -- recorded on the inquiry
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Persistent product data cache (tags, type, vendor, metafields) for carrier callbacks
+-- Warmed by `npm run sync-products`, refreshed by products/update and products/delete webhooks
+CREATE TABLE product_cache (
+    product_id BIGINT UNSIGNED PRIMARY KEY,    -- Shopify product ID
+    tags TEXT NULL,                            -- JSON array of tags
+    product_type VARCHAR(255) NULL,
+    vendor VARCHAR(255) NULL,
+    metafields MEDIUMTEXT NULL,                -- JSON object 'namespace.key' -> value; NULL = not fetched
+    collections TEXT NULL,                     -- JSON array of collection handles; NULL = not fetched
+    fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_fetched_at (fetched_at)
+);
+
+-- Shopify webhook deliveries (deduplicated by X-Shopify-Webhook-Id)
+CREATE TABLE webhook_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    webhook_id VARCHAR(100) NOT NULL UNIQUE,   -- X-Shopify-Webhook-Id (same on Shopify retries)
+    topic VARCHAR(100) NOT NULL,               -- e.g. 'orders/create'
+    shop_domain VARCHAR(255) NULL,             -- X-Shopify-Shop-Domain
+    resource_id VARCHAR(50) NULL,              -- payload id (order, draft order, product)
+    status ENUM('received','processed','failed','ignored') DEFAULT 'received',
+    attempts INT DEFAULT 1,
+    error TEXT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP NULL,
+    INDEX idx_topic (topic),
+    INDEX idx_received_at (received_at)
+);
+
+-- Background jobs (e.g. creating the draft order for an inquiry outside the carrier callback)
+CREATE TABLE jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,                 -- e.g. 'create_draft_order'
+    payload MEDIUMTEXT NOT NULL,               -- JSON
+    status ENUM('pending','running','completed','dead') DEFAULT 'pending',
+    attempts INT DEFAULT 0,
+    max_attempts INT DEFAULT 6,
+    run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,  -- not picked up before this (backoff)
+    locked_by VARCHAR(64) NULL,                -- worker run that claimed the job
+    locked_at TIMESTAMP NULL,
+    last_error TEXT NULL,
+    result TEXT NULL,                          -- JSON returned by the handler
+    inquiry_id INT NULL,                       -- inquiry the job is for, if any
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    INDEX idx_status_run_at (status, run_at),
+    INDEX idx_type (type),
+    INDEX idx_inquiry_id (inquiry_id)
+);
+
+-- Carrier callback counters per minute, shared by every instance (GET /metrics?minutes=N)
+CREATE TABLE carrier_metrics (
+    minute DATETIME NOT NULL,                  -- start of the minute (UTC)
+    metric VARCHAR(60) NOT NULL,               -- 'outcome:<outcome>', 'degradation:<reason>' or 'degraded'
+    count INT NOT NULL DEFAULT 0,
+    duration_ms_total BIGINT NOT NULL DEFAULT 0,
+    duration_ms_max INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (minute, metric)
+);
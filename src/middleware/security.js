@@ -1,8 +1,22 @@
 /**
  * Security middleware for Harbour Lane Shipping Module
- * Includes authentication, rate limiting, and input validation
+ * Includes authentication, rate limiting, input validation and
+ * Shopify webhook signature verification
  */
 
+const crypto = require('crypto');
+const { shopifyConfig } = require('../config/shopify');
+
+// Shopify webhooks authenticate with an HMAC signature instead of the API key
+const WEBHOOK_PATH_PREFIX = '/webhooks/';
+
+// Free-text body fields staff write by hand (notes, reasons, quote messages) - stored through
+// parameterised queries, so they skip the SQL pattern check in validateInput
+const FREE_TEXT_BODY_FIELDS = [
+  { path: /^\/inquiries\/[^/]+(\/status)?$/, fields: ['internal_notes', 'reason'] },
+  { path: /^\/inquiries\/[^/]+\/quote$/, fields: ['message'] }
+];
+
 /**
  * Simple API key authentication middleware
  * Protects admin endpoints with API key from environment variable
@@ -18,7 +32,7 @@ function authenticateApiKey(req, res, next) {
   ];
 
   // Skip authentication for public endpoints
-  if (publicPaths.includes(req.path)) {
+  if (publicPaths.includes(req.path) || req.path.startsWith(WEBHOOK_PATH_PREFIX)) {
     return next();
   }
 
@@ -97,6 +111,11 @@ setInterval(() => {
  * Input validation middleware for common attacks
  */
 function validateInput(req, res, next) {
+  // Signed webhook payloads carry free text (descriptions, notes) that would trip the patterns below
+  if (req.path.startsWith(WEBHOOK_PATH_PREFIX)) {
+    return next();
+  }
+
   // Check for SQL injection patterns in query params and body
   const sqlInjectionPattern = /(\b(SELECT|INSERT|UPDATE|DELETE|DROP|CREATE|ALTER|EXEC|UNION|SCRIPT)\b)|(--)|(\/\*)|(\*\/)|(;)/gi;
 
@@ -123,8 +142,14 @@ function validateInput(req, res, next) {
     });
   }
 
-  // Check body
-  if (req.body && !checkValue(req.body)) {
+  // Check body, leaving out the route's free-text fields
+  const freeTextFields = FREE_TEXT_BODY_FIELDS
+    .filter(({ path }) => path.test(req.path))
+    .flatMap(({ fields }) => fields);
+  const checkedBody = req.body && typeof req.body === 'object' && freeTextFields.length > 0
+    ? Object.fromEntries(Object.entries(req.body).filter(([key]) => !freeTextFields.includes(key)))
+    : req.body;
+  if (checkedBody && !checkValue(checkedBody)) {
     return res.status(400).json({
       error: 'Invalid input',
       message: 'Request contains potentially malicious content'
@@ -142,6 +167,42 @@ function validateInput(req, res, next) {
   next();
 }
 
+/**
+ * Shopify webhook signature verification middleware
+ * Compares X-Shopify-Hmac-Sha256 with an HMAC of the raw request body
+ * (captured as req.rawBody by the JSON parser in server.js)
+ *
+ * Accepts a signature made with either SHOPIFY_WEBHOOK_SECRET (webhooks created in
+ * the Shopify admin are signed with the store's notification key) or
+ * SHOPIFY_API_SECRET (webhooks registered through the API), so both kinds can coexist
+ */
+function verifyShopifyWebhook(req, res, next) {
+  const secrets = [process.env.SHOPIFY_WEBHOOK_SECRET, shopifyConfig.apiSecret].filter(Boolean);
+  if (secrets.length === 0) {
+    console.error('SECURITY WARNING: no webhook secret set - rejecting webhook');
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Webhooks are not configured. Please set SHOPIFY_API_SECRET environment variable.'
+    });
+  }
+
+  const signature = req.get('X-Shopify-Hmac-Sha256');
+  if (!signature || !req.rawBody) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Missing webhook signature' });
+  }
+
+  const provided = Buffer.from(signature, 'base64');
+  const matches = secret => {
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest();
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  };
+  if (!secrets.some(matches)) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid webhook signature' });
+  }
+
+  next();
+}
+
 /**
  * Sanitize string inputs
  */
@@ -166,6 +227,7 @@ module.exports = {
   authenticateApiKey,
   createRateLimiter,
   validateInput,
+  verifyShopifyWebhook,
   sanitizeString,
   validatePostcode
 };
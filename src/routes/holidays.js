@@ -0,0 +1,123 @@
+/**
+ * Public holiday calendar endpoints
+ * Holidays are skipped when estimating dispatch and delivery dates
+ */
+
+const { query, pool } = require('../db/config');
+const { loadHolidaysCache, NATIONAL } = require('../services/deliveryDateService');
+const { normalizeState } = require('../utils/deliveryDate');
+
+/**
+ * Validate one holiday record
+ * Returns { holiday } or { error }
+ */
+function validateHoliday({ state, date, name }) {
+  const normalizedState = !state || String(state).toUpperCase() === NATIONAL ? NATIONAL : normalizeState(state);
+  if (!normalizedState) {
+    return { error: `Unknown state "${state}" (use NSW, VIC, QLD, SA, WA, TAS, ACT, NT or ALL)` };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+    return { error: 'date must be YYYY-MM-DD' };
+  }
+
+  return { holiday: { state: normalizedState, date, name: name || null } };
+}
+
+/**
+ * GET /holidays
+ * List public holidays (optionally filtered by state and year)
+ */
+async function getHolidays(req, res) {
+  try {
+    let sql = `SELECT id, state, DATE_FORMAT(holiday_date, '%Y-%m-%d') as date, name FROM public_holidays WHERE 1=1`;
+    const params = [];
+
+    if (req.query.state) {
+      sql += ' AND state IN (?, ?)';
+      params.push(normalizeState(req.query.state) || String(req.query.state).toUpperCase(), NATIONAL);
+    }
+    if (req.query.year) {
+      sql += ' AND YEAR(holiday_date) = ?';
+      params.push(parseInt(req.query.year, 10));
+    }
+
+    sql += ' ORDER BY holiday_date, state';
+
+    const holidays = await query(sql, params);
+    res.json(holidays);
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({ error: 'Failed to fetch holidays', message: error.message });
+  }
+}
+
+/**
+ * POST /holidays
+ * Add one holiday ({ state, date, name }) or several ({ holidays: [...] })
+ * Existing state/date pairs are updated with the new name
+ */
+async function createHolidays(req, res) {
+  try {
+    const records = Array.isArray(req.body?.holidays) ? req.body.holidays : [req.body || {}];
+
+    const holidays = [];
+    for (const [index, record] of records.entries()) {
+      const result = validateHoliday(record);
+      if (result.error) {
+        return res.status(400).json({ error: result.error, index });
+      }
+      holidays.push(result.holiday);
+    }
+
+    if (holidays.length === 0) {
+      return res.status(400).json({ error: 'No holidays provided' });
+    }
+
+    // pool.query (not execute) so the VALUES ? bulk placeholder expands
+    await pool.query(`
+      INSERT INTO public_holidays (state, holiday_date, name)
+      VALUES ?
+      ON DUPLICATE KEY UPDATE name = VALUES(name)
+    `, [holidays.map(holiday => [holiday.state, holiday.date, holiday.name])]);
+
+    // Refresh holidays cache
+    await loadHolidaysCache();
+
+    res.status(201).json({ message: `${holidays.length} holiday(s) saved`, holidays });
+  } catch (error) {
+    console.error('Error creating holidays:', error);
+    res.status(500).json({ error: 'Failed to create holidays', message: error.message });
+  }
+}
+
+/**
+ * DELETE /holidays/:id
+ * Delete a holiday
+ */
+async function deleteHoliday(req, res) {
+  try {
+    const { id } = req.params;
+
+    const holidays = await query('SELECT * FROM public_holidays WHERE id = ?', [id]);
+    if (holidays.length === 0) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    await query('DELETE FROM public_holidays WHERE id = ?', [id]);
+
+    // Refresh holidays cache
+    await loadHolidaysCache();
+
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({ error: 'Failed to delete holiday', message: error.message });
+  }
+}
+
+module.exports = {
+  getHolidays,
+  createHolidays,
+  deleteHoliday
+};
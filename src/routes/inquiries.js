@@ -2,42 +2,343 @@
  * Inquiry management endpoints
  */
 
-const { getInquiries, updateInquiryStatus } = require('../services/inquiryService');
+const {
+  INQUIRY_STATUSES,
+  INQUIRY_SORTS,
+  searchInquiries,
+  decodeInquiryCursor,
+  getInquiryById,
+  updateInquiryStatus,
+  updateInquiryFields,
+  getInquiryHistory,
+  recordInquiryQuote,
+  getInquiryItemsMap,
+  buildDraftOrderData,
+  setInquiryDraftOrder,
+  withOrderLinks
+} = require('../services/inquiryService');
+const { createDraftOrder, updateDraftOrderShipping, sendDraftOrderInvoice } = require('../services/shopifyService');
+const { EXPORT_HEADERS, exportInquiryRows } = require('../services/inquiryExportService');
+const { escapeCsvValue } = require('../utils/csv');
+const XLSX = require('xlsx');
+const { query } = require('../db/config');
 const { validatePostcode } = require('../middleware/security');
 
+const DEFAULT_QUOTE_TITLE = 'Shipping';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_CHANGED_BY = 'api';
+// XLSX is built in memory - larger exports must use CSV, which is streamed
+const MAX_XLSX_EXPORT_ROWS = 10000;
+
+/**
+ * Parse the :id route parameter (null when invalid)
+ */
+function parseInquiryId(id) {
+  const inquiryId = parseInt(id);
+  return inquiryId > 0 ? inquiryId : null;
+}
+
+/**
+ * Who is making the change, for the inquiry history (body changed_by, default 'api')
+ */
+function getChangedBy(req) {
+  const changedBy = typeof req.body?.changed_by === 'string' ? req.body.changed_by.trim() : '';
+  return changedBy ? changedBy.slice(0, 150) : DEFAULT_CHANGED_BY;
+}
+
+/**
+ * Validate staff-editable fields; returns an error message or null
+ */
+function validateInquiryFields({ status, assigned_to, internal_notes, reason }) {
+  if (status !== undefined && !INQUIRY_STATUSES.includes(status)) {
+    return `Status must be one of: ${INQUIRY_STATUSES.join(', ')}`;
+  }
+  if (assigned_to !== undefined && assigned_to !== null &&
+      (typeof assigned_to !== 'string' || assigned_to.length > 150)) {
+    return 'assigned_to must be a string of at most 150 characters (or null to unassign)';
+  }
+  if (internal_notes !== undefined && internal_notes !== null && typeof internal_notes !== 'string') {
+    return 'internal_notes must be a string (or null to clear)';
+  }
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    return 'reason must be a string';
+  }
+  return null;
+}
+
+/**
+ * Parse a created_from / created_to query value
+ * Date-only values ('2026-10-01') are local midnight; returns null when invalid
+ */
+function parseDateParam(value) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse and validate inquiry list filters from the query string
+ * Shared by the list and export endpoints
+ * @returns {Object} - { filters } or { error }
+ */
+function parseInquiryFilters(params) {
+  const filters = {};
+
+  if (params.status) {
+    const statuses = String(params.status).split(',').map(status => status.trim()).filter(Boolean);
+    const invalid = statuses.find(status => !INQUIRY_STATUSES.includes(status));
+    if (invalid) {
+      return { error: `Invalid status "${invalid}". Status must be one of: ${INQUIRY_STATUSES.join(', ')}` };
+    }
+    filters.statuses = statuses;
+  }
+
+  if (params.postcode) {
+    filters.postcode = validatePostcode(String(params.postcode));
+    if (!filters.postcode) {
+      return { error: 'postcode must be a 4-digit postcode' };
+    }
+  }
+
+  if (params.postcode_prefix) {
+    if (!/^\d{1,4}$/.test(params.postcode_prefix)) {
+      return { error: 'postcode_prefix must be 1-4 digits (e.g. "30")' };
+    }
+    filters.postcodePrefix = params.postcode_prefix;
+  }
+
+  if (params.created_from) {
+    filters.createdFrom = parseDateParam(params.created_from);
+    if (!filters.createdFrom) {
+      return { error: 'created_from must be a date (YYYY-MM-DD) or ISO date-time' };
+    }
+  }
+
+  if (params.created_to) {
+    const createdTo = parseDateParam(params.created_to);
+    if (!createdTo) {
+      return { error: 'created_to must be a date (YYYY-MM-DD) or ISO date-time' };
+    }
+    // Inclusive: the whole day for dates, the whole second for date-times
+    filters.createdBefore = /^\d{4}-\d{2}-\d{2}$/.test(params.created_to)
+      ? new Date(createdTo.getFullYear(), createdTo.getMonth(), createdTo.getDate() + 1)
+      : new Date(createdTo.getTime() + 1000);
+  }
+
+  if (params.q) {
+    filters.search = String(params.q).trim().slice(0, 100);
+  }
+
+  if (params.assigned_to) {
+    filters.assignedTo = String(params.assigned_to).trim();
+  }
+
+  if (params.warehouse_id) {
+    filters.warehouseId = parseInt(params.warehouse_id);
+    if (!(filters.warehouseId > 0)) {
+      return { error: 'warehouse_id must be a warehouse ID' };
+    }
+  }
+
+  if (params.max_distance_km !== undefined) {
+    const maxDistanceKm = Number(params.max_distance_km);
+    if (!filters.warehouseId) {
+      return { error: 'max_distance_km requires warehouse_id' };
+    }
+    if (!Number.isFinite(maxDistanceKm) || maxDistanceKm < 0) {
+      return { error: 'max_distance_km must be a non-negative number' };
+    }
+    filters.maxDistanceKm = maxDistanceKm;
+  }
+
+  return { filters };
+}
+
+/**
+ * Parse and validate sort / order from the query string
+ * @returns {Object} - { sort, order } or { error }
+ */
+function parseInquirySort(params, filters) {
+  const sort = params.sort || 'created_at';
+  if (!INQUIRY_SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(INQUIRY_SORTS).join(', ')}` };
+  }
+  if (sort === 'distance_km' && !filters.warehouseId) {
+    return { error: 'sort=distance_km requires warehouse_id' };
+  }
+
+  const order = params.order || (sort === 'created_at' ? 'desc' : 'asc');
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  return { sort, order };
+}
+
+/**
+ * Stop spreadsheet apps from evaluating exported text as a formula
+ * (phone numbers such as "+61 ..." are left alone)
+ */
+function neutralizeFormula(value) {
+  if (typeof value !== 'string') return value;
+  return /^[=@\t\r]|^[+-](?![\d\s])/.test(value) ? `'${value}` : value;
+}
+
 /**
  * GET /inquiries
- * Get all inquiries with optional filters
+ * Search inquiries with filters, sorting and cursor pagination
+ * Query: status (comma-separated), postcode, postcode_prefix, created_from, created_to, q,
+ *        assigned_to, warehouse_id, max_distance_km, sort, order, limit, cursor
  */
 async function getInquiriesRoute(req, res) {
   try {
     // Validate and sanitize inputs
-    const status = req.query.status;
-    const validStatuses = ['new', 'reviewed', 'closed'];
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({
-        error: 'Invalid status',
-        message: `Status must be one of: ${validStatuses.join(', ')}`
-      });
+    const { filters, error } = parseInquiryFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid filter', message: error });
     }
 
-    const postcode = req.query.postcode ? validatePostcode(req.query.postcode) : undefined;
-    const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100) : undefined; // Max 100, min 1
+    const { sort, order, error: sortError } = parseInquirySort(req.query, filters);
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
 
-    const filters = {
-      status: status,
-      postcode: postcode,
-      limit: limit
-    };
+    const limit = req.query.limit
+      ? Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+      : DEFAULT_PAGE_SIZE;
 
-    const inquiries = await getInquiries(filters);
-    res.json(inquiries);
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeInquiryCursor(req.query.cursor, sort, order);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor (it must come from a request with the same sort and order)' });
+      }
+    }
+
+    const result = await searchInquiries(filters, { sort, order, limit, cursor });
+    res.json({ ...result, limit });
   } catch (error) {
     console.error('Error fetching inquiries:', error);
     res.status(500).json({ error: 'Failed to fetch inquiries', message: error.message });
   }
 }
 
+/**
+ * Write to a streamed response, waiting for 'drain' when its buffer is full
+ * Rejects when the client disconnects first
+ */
+function writeWithBackpressure(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Client closed the connection'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * GET /inquiries/export?format=csv|xlsx
+ * Export inquiries matching the same filters (and sort) as GET /inquiries
+ * CSV is streamed batch by batch; XLSX is assembled in memory (the format can't be streamed),
+ * so it is limited to MAX_XLSX_EXPORT_ROWS rows
+ */
+async function exportInquiriesRoute(req, res) {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or xlsx' });
+  }
+
+  const { filters, error } = parseInquiryFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid filter', message: error });
+  }
+  const { sort, order, error: sortError } = parseInquirySort(req.query, filters);
+  if (sortError) {
+    return res.status(400).json({ error: sortError });
+  }
+
+  const filename = `inquiries-${new Date().toISOString().slice(0, 10)}.${format}`;
+  let exported = 0;
+
+  try {
+    if (format === 'xlsx') {
+      const rows = [EXPORT_HEADERS];
+      for await (const batch of exportInquiryRows(filters, { sort, order })) {
+        rows.push(...batch);
+        if (rows.length - 1 > MAX_XLSX_EXPORT_ROWS) {
+          return res.status(413).json({
+            error: `Too many inquiries for an XLSX export (more than ${MAX_XLSX_EXPORT_ROWS})`,
+            message: 'Use format=csv (streamed, any size) or narrow the filters'
+          });
+        }
+      }
+      exported = rows.length - 1;
+
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Inquiries');
+      const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(buffer);
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      // BOM so Excel opens UTF-8 names and addresses correctly
+      res.write('\uFEFF' + EXPORT_HEADERS.join(',') + '\n');
+
+      for await (const batch of exportInquiryRows(filters, { sort, order })) {
+        const lines = batch.map(row => row.map(value => escapeCsvValue(neutralizeFormula(value))).join(','));
+        if (lines.length > 0) {
+          await writeWithBackpressure(res, lines.join('\n') + '\n');
+        }
+        exported += batch.length;
+      }
+      res.end();
+    }
+
+    console.log(`📤 Exported ${exported} inquiries (${format})`);
+  } catch (error) {
+    console.error('Error exporting inquiries:', error);
+    if (res.headersSent) {
+      // Mid-stream failure: cut the download short rather than send a truncated file as complete
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export inquiries', message: error.message });
+    }
+  }
+}
+
+/**
+ * GET /inquiries/:id
+ * Get one inquiry with its Shopify links and change history
+ */
+async function getInquiryRoute(req, res) {
+  try {
+    const inquiryId = parseInquiryId(req.params.id);
+    if (!inquiryId) {
+      return res.status(400).json({ error: 'Invalid inquiry ID' });
+    }
+
+    const inquiry = await getInquiryById(inquiryId);
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+
+    res.json(inquiry);
+  } catch (error) {
+    console.error('Error fetching inquiry:', error);
+    res.status(500).json({ error: 'Failed to fetch inquiry', message: error.message });
+  }
+}
+
 /**
  * PUT /inquiries/:id/status
  * Update inquiry status
@@ -45,36 +346,219 @@ async function getInquiriesRoute(req, res) {
 async function updateInquiryStatusRoute(req, res) {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     // Validate ID
-    const inquiryId = parseInt(id);
-    if (!inquiryId || inquiryId <= 0 || isNaN(inquiryId)) {
+    const inquiryId = parseInquiryId(id);
+    if (!inquiryId) {
       return res.status(400).json({ error: 'Invalid inquiry ID' });
     }
 
     // Validate status
-    if (!status || !['new', 'reviewed', 'closed'].includes(status)) {
+    if (!status || !INQUIRY_STATUSES.includes(status)) {
       return res.status(400).json({
         error: 'Invalid status',
-        message: 'Status must be: new, reviewed, or closed'
+        message: `Status must be one of: ${INQUIRY_STATUSES.join(', ')}`
       });
     }
 
-    const inquiry = await updateInquiryStatus(inquiryId, status);
-    if (!inquiry || inquiry.length === 0) {
+    const inquiry = await updateInquiryStatus(inquiryId, status, { changedBy: getChangedBy(req), reason });
+    if (!inquiry) {
       return res.status(404).json({ error: 'Inquiry not found' });
     }
 
-    res.json(inquiry[0]);
+    res.json(withOrderLinks(inquiry));
   } catch (error) {
     console.error('Error updating inquiry status:', error);
     res.status(500).json({ error: 'Failed to update inquiry status', message: error.message });
   }
 }
 
+/**
+ * PUT /inquiries/:id
+ * Update status, assignee and/or internal notes
+ * Body: { status?, assigned_to?, internal_notes?, reason?, changed_by? }
+ */
+async function updateInquiryRoute(req, res) {
+  try {
+    const inquiryId = parseInquiryId(req.params.id);
+    if (!inquiryId) {
+      return res.status(400).json({ error: 'Invalid inquiry ID' });
+    }
+
+    const body = req.body || {};
+    const validationError = validateInquiryFields(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const fields = {};
+    for (const field of ['status', 'assigned_to', 'internal_notes']) {
+      if (body[field] !== undefined) {
+        fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+      }
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const inquiry = await updateInquiryFields(inquiryId, fields, { changedBy: getChangedBy(req), reason: body.reason });
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+
+    res.json(withOrderLinks(inquiry));
+  } catch (error) {
+    console.error('Error updating inquiry:', error);
+    res.status(500).json({ error: 'Failed to update inquiry', message: error.message });
+  }
+}
+
+/**
+ * GET /inquiries/:id/history
+ * Get an inquiry's change history, oldest first
+ */
+async function getInquiryHistoryRoute(req, res) {
+  try {
+    const inquiryId = parseInquiryId(req.params.id);
+    if (!inquiryId) {
+      return res.status(400).json({ error: 'Invalid inquiry ID' });
+    }
+
+    const inquiries = await query('SELECT id FROM inquiries WHERE id = ?', [inquiryId]);
+    if (inquiries.length === 0) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+
+    const history = await getInquiryHistory(inquiryId);
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching inquiry history:', error);
+    res.status(500).json({ error: 'Failed to fetch inquiry history', message: error.message });
+  }
+}
+
+/**
+ * POST /inquiries/:id/quote
+ * Set the shipping price on the inquiry's draft order and email the invoice to the customer
+ * Body: { shipping_cents, shipping_title?, message?, to? } - `to` overrides the inquiry's email
+ */
+async function quoteInquiryRoute(req, res) {
+  try {
+    const inquiryId = parseInquiryId(req.params.id);
+    if (!inquiryId) {
+      return res.status(400).json({ error: 'Invalid inquiry ID' });
+    }
+
+    const { shipping_cents, shipping_title, message, to } = req.body || {};
+    if (!Number.isInteger(shipping_cents) || shipping_cents < 0) {
+      return res.status(400).json({ error: 'shipping_cents must be a non-negative integer' });
+    }
+    if (message !== undefined && message !== null && typeof message !== 'string') {
+      return res.status(400).json({ error: 'message must be a string' });
+    }
+    if (to !== undefined && to !== null && (typeof to !== 'string' || !to.includes('@'))) {
+      return res.status(400).json({ error: 'to must be an email address' });
+    }
+
+    const inquiries = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+    if (inquiries.length === 0) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+
+    const inquiry = inquiries[0];
+    if (!inquiry.draft_order_id) {
+      return res.status(409).json({ error: 'Inquiry has no draft order to quote' });
+    }
+    if (inquiry.shop_order_id || inquiry.draft_order_status === 'completed') {
+      return res.status(409).json({ error: 'Draft order is already completed' });
+    }
+
+    // Guest inquiries may have no email - check before the draft is touched, not halfway through
+    const recipient = to ? to.trim() : inquiry.email;
+    if (!recipient) {
+      return res.status(409).json({ error: 'Inquiry has no email to send the invoice to - pass one as `to`' });
+    }
+
+    // Shipping line first, so the invoice the customer receives includes it
+    await updateDraftOrderShipping(inquiry.draft_order_id, {
+      title: String(shipping_title || DEFAULT_QUOTE_TITLE).trim(),
+      priceCents: shipping_cents
+    });
+    await sendDraftOrderInvoice(inquiry.draft_order_id, {
+      to: recipient,
+      customMessage: message ? message.trim() : undefined
+    });
+
+    const updated = await recordInquiryQuote(inquiryId, {
+      quotedCents: shipping_cents,
+      message: message ? message.trim() : null,
+      changedBy: getChangedBy(req)
+    });
+    console.log(`💬 Inquiry #${inquiryId} quoted: $${(shipping_cents / 100).toFixed(2)} shipping, invoice sent for draft ${inquiry.draft_order_id}`);
+
+    res.json(withOrderLinks(updated));
+  } catch (error) {
+    console.error('Error quoting inquiry:', error);
+    res.status(500).json({ error: 'Failed to quote inquiry', message: error.message });
+  }
+}
+
+/**
+ * POST /inquiries/:id/draft-order
+ * (Re)create the inquiry's Shopify draft order from its stored customer details and line items
+ * Use instead of waiting on (or retrying) the create_draft_order job, or with { replace: true } when the draft was deleted
+ */
+async function createInquiryDraftOrderRoute(req, res) {
+  try {
+    const inquiryId = parseInquiryId(req.params.id);
+    if (!inquiryId) {
+      return res.status(400).json({ error: 'Invalid inquiry ID' });
+    }
+
+    const inquiries = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+    if (inquiries.length === 0) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+
+    const inquiry = inquiries[0];
+    if (inquiry.shop_order_id || inquiry.draft_order_status === 'completed') {
+      return res.status(409).json({ error: 'Inquiry already has an order' });
+    }
+    if (inquiry.draft_order_id && req.body?.replace !== true) {
+      return res.status(409).json({
+        error: 'Inquiry already has a draft order',
+        message: 'Send { "replace": true } to create a new one'
+      });
+    }
+
+    const items = (await getInquiryItemsMap([inquiryId])).get(inquiryId);
+    if (items.length === 0) {
+      return res.status(409).json({ error: 'Inquiry has no line items to create a draft order from' });
+    }
+
+    const draftOrder = await createDraftOrder(buildDraftOrderData(inquiry, items));
+    const updated = await setInquiryDraftOrder(inquiryId, draftOrder.id, {
+      changedBy: getChangedBy(req),
+      reason: inquiry.draft_order_id ? `Replaced draft order ${inquiry.draft_order_id}` : 'Draft order created'
+    });
+
+    res.status(201).json({ ...withOrderLinks(updated), items });
+  } catch (error) {
+    console.error('Error creating inquiry draft order:', error);
+    res.status(500).json({ error: 'Failed to create draft order', message: error.message });
+  }
+}
+
 module.exports = {
+  parseInquiryFilters,
   getInquiriesRoute,
-  updateInquiryStatusRoute
+  exportInquiriesRoute,
+  getInquiryRoute,
+  updateInquiryStatusRoute,
+  updateInquiryRoute,
+  getInquiryHistoryRoute,
+  quoteInquiryRoute,
+  createInquiryDraftOrderRoute
 };
 
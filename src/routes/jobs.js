@@ -0,0 +1,103 @@
+/**
+ * Background job endpoints
+ * Inspect the job queue and retry dead-lettered jobs
+ */
+
+const { JOB_STATUSES, JOB_TYPES, listJobs, getJobCounts, getJob, retryJob } = require('../services/jobService');
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+function parseJobId(value) {
+  const jobId = parseInt(value, 10);
+  return Number.isInteger(jobId) && jobId > 0 ? jobId : null;
+}
+
+/**
+ * GET /jobs
+ * List jobs, newest first (?status=dead&type=create_draft_order&inquiry_id=42&limit=50)
+ * Includes counts by status
+ */
+async function getJobsRoute(req, res) {
+  try {
+    const { status, type } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    if (type && !JOB_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${JOB_TYPES.join(', ')}` });
+    }
+
+    const inquiryId = req.query.inquiry_id ? parseJobId(req.query.inquiry_id) : null;
+    if (req.query.inquiry_id && !inquiryId) {
+      return res.status(400).json({ error: 'Invalid inquiry_id' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT);
+    const [jobs, counts] = await Promise.all([
+      listJobs({ status, type, inquiryId, limit: Math.max(limit, 1) }),
+      getJobCounts()
+    ]);
+
+    res.json({ counts, jobs });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs', message: error.message });
+  }
+}
+
+/**
+ * GET /jobs/:id
+ */
+async function getJobRoute(req, res) {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job', message: error.message });
+  }
+}
+
+/**
+ * POST /jobs/:id/retry
+ * Requeue a dead (or backing-off) job to run on the next worker pass with fresh attempts
+ */
+async function retryJobRoute(req, res) {
+  try {
+    const jobId = parseJobId(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await retryJob(jobId);
+    if (!job) {
+      const existing = await getJob(jobId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      return res.status(409).json({ error: `Job is ${existing.status} and can't be retried` });
+    }
+
+    console.log(`🔁 Job #${job.id} (${job.type}) requeued`);
+    res.json(job);
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job', message: error.message });
+  }
+}
+
+module.exports = {
+  getJobsRoute,
+  getJobRoute,
+  retryJobRoute
+};
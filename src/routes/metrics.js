@@ -0,0 +1,41 @@
+/**
+ * Metrics endpoint
+ * Carrier callback latency, outcomes and degraded (fallback) responses
+ */
+
+const { getCarrierMetrics, getPersistedCarrierMetrics } = require('../services/metricsService');
+const { getCacheStatus } = require('../services/zoneService');
+
+/**
+ * GET /metrics
+ * Per-instance counters since the server started, plus the zones cache age
+ * Query: { minutes? } - adds counters for the last N minutes across all instances
+ */
+async function getMetricsRoute(req, res) {
+  try {
+    let minutes;
+    if (req.query.minutes !== undefined) {
+      minutes = parseInt(req.query.minutes, 10);
+      if (!Number.isInteger(minutes) || minutes < 1) {
+        return res.status(400).json({ error: 'minutes must be a positive integer' });
+      }
+    }
+
+    const cacheStatus = getCacheStatus();
+    res.json({
+      carrierRates: getCarrierMetrics(),
+      ...(minutes ? { carrierRatesAllInstances: await getPersistedCarrierMetrics(minutes) } : {}),
+      zonesCache: {
+        ...cacheStatus,
+        ageMs: cacheStatus.timestamp ? Date.now() - cacheStatus.timestamp : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching metrics:', error);
+    res.status(500).json({ error: 'Failed to fetch metrics', message: error.message });
+  }
+}
+
+module.exports = {
+  getMetricsRoute
+};
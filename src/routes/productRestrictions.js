@@ -0,0 +1,240 @@
+/**
+ * Product restriction management endpoints
+ * CRUD operations for tag/metafield-driven product shipping restrictions
+ */
+
+const { query } = require('../db/config');
+const { RESTRICTION_ACTIONS, loadRestrictionsCache } = require('../services/productRestrictionService');
+const { parsePostcodeList } = require('../utils/postcode');
+
+const FIELDS = [
+  'name',
+  'active',
+  'product_tag',
+  'metafield_namespace',
+  'metafield_key',
+  'metafield_value',
+  'action',
+  'surcharge_cents',
+  'per_unit',
+  'warehouse_ids',
+  'exempt_postcodes',
+  'reason'
+];
+
+/**
+ * Validate restriction fields against the merged (stored + incoming) restriction
+ * Returns an error message, or null when the fields are valid
+ */
+async function validateRestrictionFields(restriction) {
+  if (!String(restriction.name || '').trim()) {
+    return 'name is required';
+  }
+
+  const hasMetafield = restriction.metafield_namespace || restriction.metafield_key;
+  if (!restriction.product_tag && !hasMetafield) {
+    return 'product_tag or metafield_namespace + metafield_key is required';
+  }
+  if (hasMetafield && !(restriction.metafield_namespace && restriction.metafield_key)) {
+    return 'metafield_namespace and metafield_key must be set together';
+  }
+
+  if (!RESTRICTION_ACTIONS.includes(restriction.action)) {
+    return `action must be one of: ${RESTRICTION_ACTIONS.join(', ')}`;
+  }
+
+  if (restriction.action === 'surcharge' &&
+      (!Number.isInteger(restriction.surcharge_cents) || restriction.surcharge_cents < 0)) {
+    return 'surcharge_cents must be a non-negative integer for surcharge restrictions';
+  }
+
+  if (restriction.action === 'restrict_warehouses') {
+    const ids = String(restriction.warehouse_ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+      return 'warehouse_ids must be a comma-separated list of warehouse IDs (e.g. "1,2")';
+    }
+    const uniqueIds = [...new Set(ids)];
+    const warehouses = await query(
+      `SELECT id FROM warehouses WHERE id IN (${uniqueIds.map(() => '?').join(', ')})`,
+      uniqueIds
+    );
+    if (warehouses.length !== uniqueIds.length) {
+      return 'warehouse_ids contains an unknown warehouse';
+    }
+  }
+
+  if (restriction.exempt_postcodes) {
+    const parsed = parsePostcodeList(restriction.exempt_postcodes);
+    if (parsed.error) {
+      return parsed.error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * GET /product-restrictions
+ * Get all product restrictions
+ */
+async function getProductRestrictions(req, res) {
+  try {
+    const restrictions = await query('SELECT * FROM product_restrictions ORDER BY id');
+    res.json(restrictions);
+  } catch (error) {
+    console.error('Error fetching product restrictions:', error);
+    res.status(500).json({ error: 'Failed to fetch product restrictions', message: error.message });
+  }
+}
+
+/**
+ * POST /product-restrictions
+ * Create a product restriction
+ */
+async function createProductRestriction(req, res) {
+  try {
+    const {
+      name,
+      active = true,
+      product_tag,
+      metafield_namespace,
+      metafield_key,
+      metafield_value,
+      action,
+      surcharge_cents = null,
+      per_unit = true,
+      warehouse_ids,
+      exempt_postcodes,
+      reason
+    } = req.body;
+
+    const validationError = await validateRestrictionFields({
+      name, product_tag, metafield_namespace, metafield_key, action, surcharge_cents, warehouse_ids, exempt_postcodes
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await query(`
+      INSERT INTO product_restrictions (
+        name, active, product_tag, metafield_namespace, metafield_key, metafield_value,
+        action, surcharge_cents, per_unit, warehouse_ids, exempt_postcodes, reason
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      String(name).trim(),
+      active ? 1 : 0,
+      product_tag || null,
+      metafield_namespace || null,
+      metafield_key || null,
+      metafield_value ?? null,
+      action,
+      surcharge_cents,
+      per_unit ? 1 : 0,
+      warehouse_ids || null,
+      exempt_postcodes || null,
+      reason || null
+    ]);
+
+    const restriction = await query('SELECT * FROM product_restrictions WHERE id = ?', [result.insertId]);
+
+    // Refresh product restrictions cache
+    await loadRestrictionsCache();
+
+    res.status(201).json(restriction[0]);
+  } catch (error) {
+    console.error('Error creating product restriction:', error);
+    res.status(500).json({ error: 'Failed to create product restriction', message: error.message });
+  }
+}
+
+/**
+ * PUT /product-restrictions/:id
+ * Update a product restriction
+ */
+async function updateProductRestriction(req, res) {
+  try {
+    const { id } = req.params;
+
+    const restrictions = await query('SELECT * FROM product_restrictions WHERE id = ?', [id]);
+    if (restrictions.length === 0) {
+      return res.status(404).json({ error: 'Product restriction not found' });
+    }
+
+    // Validate against the merged result so the action's required fields stay set
+    const merged = { ...restrictions[0] };
+    for (const field of FIELDS) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    }
+    const validationError = await validateRestrictionFields(merged);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const params = [];
+
+    for (const field of FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        if (field === 'active' || field === 'per_unit') {
+          params.push(req.body[field] ? 1 : 0);
+        } else {
+          params.push(req.body[field] === '' ? null : req.body[field]);
+        }
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    params.push(id);
+
+    await query(`
+      UPDATE product_restrictions SET ${updates.join(', ')} WHERE id = ?
+    `, params);
+
+    const restriction = await query('SELECT * FROM product_restrictions WHERE id = ?', [id]);
+
+    // Refresh product restrictions cache
+    await loadRestrictionsCache();
+
+    res.json(restriction[0]);
+  } catch (error) {
+    console.error('Error updating product restriction:', error);
+    res.status(500).json({ error: 'Failed to update product restriction', message: error.message });
+  }
+}
+
+/**
+ * DELETE /product-restrictions/:id
+ * Delete a product restriction
+ */
+async function deleteProductRestriction(req, res) {
+  try {
+    const { id } = req.params;
+
+    const restrictions = await query('SELECT * FROM product_restrictions WHERE id = ?', [id]);
+    if (restrictions.length === 0) {
+      return res.status(404).json({ error: 'Product restriction not found' });
+    }
+
+    await query('DELETE FROM product_restrictions WHERE id = ?', [id]);
+
+    // Refresh product restrictions cache
+    await loadRestrictionsCache();
+
+    res.json({ message: 'Product restriction deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting product restriction:', error);
+    res.status(500).json({ error: 'Failed to delete product restriction', message: error.message });
+  }
+}
+
+module.exports = {
+  getProductRestrictions,
+  createProductRestriction,
+  updateProductRestriction,
+  deleteProductRestriction
+};
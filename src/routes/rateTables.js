@@ -0,0 +1,622 @@
+/**
+ * Rate table management endpoints
+ * CRUD operations for warehouse, zone and prefix rates, distance brackets
+ * and additional service levels
+ */
+
+const { query } = require('../db/config');
+const { refreshCache } = require('../services/zoneService');
+const { parsePostcodeList } = require('../utils/postcode');
+const { validateLeadTimes } = require('../utils/deliveryDate');
+
+const SERVICE_LEVEL_PRICE_TYPES = ['fixed', 'add', 'percent'];
+
+/**
+ * Validate rate fields shared by create and update
+ * Returns an error message, or null when the fields are valid
+ */
+async function validateRateFields(warehouseId, { price_cents, zone_id, postcode_pattern }) {
+  if (price_cents !== undefined) {
+    if (!Number.isInteger(price_cents) || price_cents < 0) {
+      return 'price_cents must be a non-negative integer (e.g. 5900 for $59.00)';
+    }
+  }
+
+  if (zone_id && postcode_pattern) {
+    return 'A rate can be attached to a zone or a postcode pattern, not both';
+  }
+
+  if (postcode_pattern !== undefined && postcode_pattern !== null) {
+    if (!/^\d{1,4}$/.test(String(postcode_pattern))) {
+      return 'postcode_pattern must be 1-4 digits (e.g. "265")';
+    }
+  }
+
+  if (zone_id) {
+    const zones = await query('SELECT id FROM zones WHERE id = ? AND warehouse_id = ?', [zone_id, warehouseId]);
+    if (zones.length === 0) {
+      return 'zone_id does not belong to this warehouse';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * GET /warehouses/:id/rates
+ * Get all rates for a warehouse
+ */
+async function getRates(req, res) {
+  try {
+    const { id } = req.params;
+
+    const rates = await query(`
+      SELECT
+        r.*,
+        z.postcode as zone_postcode
+      FROM shipping_rates r
+      LEFT JOIN zones z ON r.zone_id = z.id
+      WHERE r.warehouse_id = ?
+      ORDER BY r.zone_id IS NULL, r.postcode_pattern IS NULL, r.postcode_pattern, r.id
+    `, [id]);
+
+    res.json(rates);
+  } catch (error) {
+    console.error('Error fetching rates:', error);
+    res.status(500).json({ error: 'Failed to fetch rates', message: error.message });
+  }
+}
+
+/**
+ * POST /warehouses/:id/rates
+ * Add a rate to a warehouse, one of its zones, or a postcode prefix
+ */
+async function createRate(req, res) {
+  try {
+    const { id } = req.params;
+    const { price_cents, zone_id, postcode_pattern, service_name, note } = req.body;
+
+    if (price_cents === undefined) {
+      return res.status(400).json({ error: 'price_cents is required' });
+    }
+
+    // Verify warehouse exists
+    const warehouses = await query('SELECT * FROM warehouses WHERE id = ?', [id]);
+    if (warehouses.length === 0) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const validationError = await validateRateFields(id, { price_cents, zone_id, postcode_pattern });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await query(`
+      INSERT INTO shipping_rates (warehouse_id, zone_id, postcode_pattern, price_cents, service_name, note)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      zone_id || null,
+      postcode_pattern ? String(postcode_pattern) : null,
+      price_cents,
+      service_name || null,
+      note || null
+    ]);
+
+    const rate = await query('SELECT * FROM shipping_rates WHERE id = ?', [result.insertId]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.status(201).json(rate[0]);
+  } catch (error) {
+    console.error('Error creating rate:', error);
+    res.status(500).json({ error: 'Failed to create rate', message: error.message });
+  }
+}
+
+/**
+ * PUT /warehouses/:id/rates/:rateId
+ * Update a rate
+ */
+async function updateRate(req, res) {
+  try {
+    const { id, rateId } = req.params;
+    const { price_cents, zone_id, postcode_pattern, service_name, note } = req.body;
+
+    const rates = await query('SELECT * FROM shipping_rates WHERE id = ? AND warehouse_id = ?', [rateId, id]);
+    if (rates.length === 0) {
+      return res.status(404).json({ error: 'Rate not found' });
+    }
+
+    // Validate against the merged result so zone/pattern exclusivity holds after the update
+    const current = rates[0];
+    const validationError = await validateRateFields(id, {
+      price_cents,
+      zone_id: zone_id !== undefined ? zone_id : current.zone_id,
+      postcode_pattern: postcode_pattern !== undefined ? postcode_pattern : current.postcode_pattern
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const params = [];
+
+    if (price_cents !== undefined) {
+      updates.push('price_cents = ?');
+      params.push(price_cents);
+    }
+    if (zone_id !== undefined) {
+      updates.push('zone_id = ?');
+      params.push(zone_id || null);
+    }
+    if (postcode_pattern !== undefined) {
+      updates.push('postcode_pattern = ?');
+      params.push(postcode_pattern ? String(postcode_pattern) : null);
+    }
+    if (service_name !== undefined) {
+      updates.push('service_name = ?');
+      params.push(service_name || null);
+    }
+    if (note !== undefined) {
+      updates.push('note = ?');
+      params.push(note || null);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    params.push(rateId);
+
+    await query(`
+      UPDATE shipping_rates SET ${updates.join(', ')} WHERE id = ?
+    `, params);
+
+    const rate = await query('SELECT * FROM shipping_rates WHERE id = ?', [rateId]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.json(rate[0]);
+  } catch (error) {
+    console.error('Error updating rate:', error);
+    res.status(500).json({ error: 'Failed to update rate', message: error.message });
+  }
+}
+
+/**
+ * DELETE /warehouses/:id/rates/:rateId
+ * Delete a rate
+ */
+async function deleteRate(req, res) {
+  try {
+    const { id, rateId } = req.params;
+
+    const rates = await query('SELECT * FROM shipping_rates WHERE id = ? AND warehouse_id = ?', [rateId, id]);
+    if (rates.length === 0) {
+      return res.status(404).json({ error: 'Rate not found' });
+    }
+
+    await query('DELETE FROM shipping_rates WHERE id = ?', [rateId]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.json({ message: 'Rate deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting rate:', error);
+    res.status(500).json({ error: 'Failed to delete rate', message: error.message });
+  }
+}
+
+/**
+ * GET /warehouses/:id/distance-brackets
+ * Get distance pricing settings and brackets for a warehouse
+ */
+async function getDistanceBrackets(req, res) {
+  try {
+    const { id } = req.params;
+
+    const warehouses = await query(
+      'SELECT pricing_mode, distance_base_cents, max_distance_km FROM warehouses WHERE id = ?',
+      [id]
+    );
+    if (warehouses.length === 0) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const brackets = await query(
+      'SELECT * FROM distance_brackets WHERE warehouse_id = ? ORDER BY min_km',
+      [id]
+    );
+    const distances = await query(
+      'SELECT COUNT(*) as count FROM postcode_distances WHERE warehouse_id = ?',
+      [id]
+    );
+
+    res.json({
+      ...warehouses[0],
+      postcode_distance_count: distances[0].count,
+      brackets
+    });
+  } catch (error) {
+    console.error('Error fetching distance brackets:', error);
+    res.status(500).json({ error: 'Failed to fetch distance brackets', message: error.message });
+  }
+}
+
+/**
+ * POST /warehouses/:id/distance-brackets
+ * Add a per-km tier to a warehouse's distance pricing
+ */
+async function createDistanceBracket(req, res) {
+  try {
+    const { id } = req.params;
+    const { min_km = 0, max_km = null, per_km_cents } = req.body;
+
+    if (!Number.isInteger(per_km_cents) || per_km_cents < 0) {
+      return res.status(400).json({ error: 'per_km_cents must be a non-negative integer' });
+    }
+    if (typeof min_km !== 'number' || min_km < 0) {
+      return res.status(400).json({ error: 'min_km must be a non-negative number' });
+    }
+    if (max_km !== null && (typeof max_km !== 'number' || max_km <= min_km)) {
+      return res.status(400).json({ error: 'max_km must be greater than min_km' });
+    }
+
+    // Verify warehouse exists
+    const warehouses = await query('SELECT * FROM warehouses WHERE id = ?', [id]);
+    if (warehouses.length === 0) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const result = await query(`
+      INSERT INTO distance_brackets (warehouse_id, min_km, max_km, per_km_cents)
+      VALUES (?, ?, ?, ?)
+    `, [id, min_km, max_km, per_km_cents]);
+
+    const bracket = await query('SELECT * FROM distance_brackets WHERE id = ?', [result.insertId]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.status(201).json(bracket[0]);
+  } catch (error) {
+    console.error('Error creating distance bracket:', error);
+    res.status(500).json({ error: 'Failed to create distance bracket', message: error.message });
+  }
+}
+
+/**
+ * DELETE /warehouses/:id/distance-brackets/:bracketId
+ * Delete a distance bracket
+ */
+async function deleteDistanceBracket(req, res) {
+  try {
+    const { id, bracketId } = req.params;
+
+    const brackets = await query(
+      'SELECT * FROM distance_brackets WHERE id = ? AND warehouse_id = ?',
+      [bracketId, id]
+    );
+    if (brackets.length === 0) {
+      return res.status(404).json({ error: 'Distance bracket not found' });
+    }
+
+    await query('DELETE FROM distance_brackets WHERE id = ?', [bracketId]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.json({ message: 'Distance bracket deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting distance bracket:', error);
+    res.status(500).json({ error: 'Failed to delete distance bracket', message: error.message });
+  }
+}
+
+/**
+ * Validate service level fields shared by create and update
+ * Returns an error message, or null when the fields are valid
+ */
+function validateServiceLevelFields({
+  name,
+  service_code,
+  price_type,
+  price_value,
+  postcodes,
+  lead_time_min_days,
+  lead_time_max_days
+}) {
+  if (name !== undefined && !String(name || '').trim()) {
+    return 'name cannot be empty';
+  }
+
+  if (service_code !== undefined) {
+    if (!/^[A-Z0-9_]{1,50}$/.test(String(service_code || ''))) {
+      return 'service_code must be uppercase letters, digits or underscores (e.g. "EXPRESS")';
+    }
+    // Reserved for the inquiry fallback, the standard zone rate and pickup rates
+    if (service_code === 'INQUIRY' || /^(ZONE|PICKUP)_\d+$/.test(service_code)) {
+      return `service_code "${service_code}" is reserved`;
+    }
+  }
+
+  if (price_type !== undefined && !SERVICE_LEVEL_PRICE_TYPES.includes(price_type)) {
+    return `price_type must be one of: ${SERVICE_LEVEL_PRICE_TYPES.join(', ')}`;
+  }
+
+  if (price_value !== undefined) {
+    if (!Number.isInteger(price_value) || price_value < 0) {
+      return 'price_value must be a non-negative integer (cents, or a percentage for percent)';
+    }
+  }
+
+  if (postcodes !== undefined && postcodes !== null && postcodes !== '') {
+    const parsed = parsePostcodeList(postcodes);
+    if (parsed.error) {
+      return parsed.error;
+    }
+  }
+
+  return validateLeadTimes(lead_time_min_days, lead_time_max_days);
+}
+
+/**
+ * GET /warehouses/:id/service-levels
+ * Get all service levels for a warehouse
+ */
+async function getServiceLevels(req, res) {
+  try {
+    const { id } = req.params;
+
+    const levels = await query(
+      'SELECT * FROM service_levels WHERE warehouse_id = ? ORDER BY sort_order, id',
+      [id]
+    );
+
+    res.json(levels);
+  } catch (error) {
+    console.error('Error fetching service levels:', error);
+    res.status(500).json({ error: 'Failed to fetch service levels', message: error.message });
+  }
+}
+
+/**
+ * POST /warehouses/:id/service-levels
+ * Add a service level (express, white-glove, ...) to a warehouse
+ */
+async function createServiceLevel(req, res) {
+  try {
+    const { id } = req.params;
+    const {
+      name,
+      service_code,
+      price_type = 'add',
+      price_value,
+      description,
+      postcodes,
+      active = true,
+      sort_order = 0,
+      lead_time_min_days = null,
+      lead_time_max_days = null
+    } = req.body;
+
+    if (!name || !service_code || price_value === undefined) {
+      return res.status(400).json({ error: 'name, service_code and price_value are required' });
+    }
+
+    const validationError = validateServiceLevelFields({
+      name,
+      service_code,
+      price_type,
+      price_value,
+      postcodes,
+      lead_time_min_days,
+      lead_time_max_days
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Verify warehouse exists
+    const warehouses = await query('SELECT * FROM warehouses WHERE id = ?', [id]);
+    if (warehouses.length === 0) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const existing = await query(
+      'SELECT id FROM service_levels WHERE warehouse_id = ? AND service_code = ?',
+      [id, service_code]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({ error: `Service level ${service_code} already exists for this warehouse` });
+    }
+
+    const result = await query(`
+      INSERT INTO service_levels (warehouse_id, name, service_code, price_type, price_value, description, postcodes, active, sort_order, lead_time_min_days, lead_time_max_days)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      String(name).trim(),
+      service_code,
+      price_type,
+      price_value,
+      description || null,
+      postcodes || null,
+      active ? 1 : 0,
+      sort_order,
+      lead_time_min_days,
+      lead_time_max_days
+    ]);
+
+    const level = await query('SELECT * FROM service_levels WHERE id = ?', [result.insertId]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.status(201).json(level[0]);
+  } catch (error) {
+    console.error('Error creating service level:', error);
+    res.status(500).json({ error: 'Failed to create service level', message: error.message });
+  }
+}
+
+/**
+ * PUT /warehouses/:id/service-levels/:levelId
+ * Update a service level
+ */
+async function updateServiceLevel(req, res) {
+  try {
+    const { id, levelId } = req.params;
+    const {
+      name,
+      service_code,
+      price_type,
+      price_value,
+      description,
+      postcodes,
+      active,
+      sort_order,
+      lead_time_min_days,
+      lead_time_max_days
+    } = req.body;
+
+    const levels = await query('SELECT * FROM service_levels WHERE id = ? AND warehouse_id = ?', [levelId, id]);
+    if (levels.length === 0) {
+      return res.status(404).json({ error: 'Service level not found' });
+    }
+
+    // Lead times are validated against the merged result so min <= max holds after the update
+    const current = levels[0];
+    const validationError = validateServiceLevelFields({
+      name,
+      service_code,
+      price_type,
+      price_value,
+      postcodes,
+      lead_time_min_days: lead_time_min_days !== undefined ? lead_time_min_days : current.lead_time_min_days,
+      lead_time_max_days: lead_time_max_days !== undefined ? lead_time_max_days : current.lead_time_max_days
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (service_code !== undefined && service_code !== current.service_code) {
+      const existing = await query(
+        'SELECT id FROM service_levels WHERE warehouse_id = ? AND service_code = ?',
+        [id, service_code]
+      );
+      if (existing.length > 0) {
+        return res.status(409).json({ error: `Service level ${service_code} already exists for this warehouse` });
+      }
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      params.push(String(name).trim());
+    }
+    if (service_code !== undefined) {
+      updates.push('service_code = ?');
+      params.push(service_code);
+    }
+    if (price_type !== undefined) {
+      updates.push('price_type = ?');
+      params.push(price_type);
+    }
+    if (price_value !== undefined) {
+      updates.push('price_value = ?');
+      params.push(price_value);
+    }
+    if (description !== undefined) {
+      updates.push('description = ?');
+      params.push(description || null);
+    }
+    if (postcodes !== undefined) {
+      updates.push('postcodes = ?');
+      params.push(postcodes || null);
+    }
+    if (active !== undefined) {
+      updates.push('active = ?');
+      params.push(active ? 1 : 0);
+    }
+    if (sort_order !== undefined) {
+      updates.push('sort_order = ?');
+      params.push(sort_order);
+    }
+    if (lead_time_min_days !== undefined) {
+      updates.push('lead_time_min_days = ?');
+      params.push(lead_time_min_days);
+    }
+    if (lead_time_max_days !== undefined) {
+      updates.push('lead_time_max_days = ?');
+      params.push(lead_time_max_days);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    params.push(levelId);
+
+    await query(`
+      UPDATE service_levels SET ${updates.join(', ')} WHERE id = ?
+    `, params);
+
+    const level = await query('SELECT * FROM service_levels WHERE id = ?', [levelId]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.json(level[0]);
+  } catch (error) {
+    console.error('Error updating service level:', error);
+    res.status(500).json({ error: 'Failed to update service level', message: error.message });
+  }
+}
+
+/**
+ * DELETE /warehouses/:id/service-levels/:levelId
+ * Delete a service level
+ */
+async function deleteServiceLevel(req, res) {
+  try {
+    const { id, levelId } = req.params;
+
+    const levels = await query('SELECT * FROM service_levels WHERE id = ? AND warehouse_id = ?', [levelId, id]);
+    if (levels.length === 0) {
+      return res.status(404).json({ error: 'Service level not found' });
+    }
+
+    await query('DELETE FROM service_levels WHERE id = ?', [levelId]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.json({ message: 'Service level deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting service level:', error);
+    res.status(500).json({ error: 'Failed to delete service level', message: error.message });
+  }
+}
+
+module.exports = {
+  getRates,
+  createRate,
+  updateRate,
+  deleteRate,
+  getDistanceBrackets,
+  createDistanceBracket,
+  deleteDistanceBracket,
+  getServiceLevels,
+  createServiceLevel,
+  updateServiceLevel,
+  deleteServiceLevel
+};
@@ -4,13 +4,37 @@
  * to get shipping rates based on the destination postcode
  */
 
-const { findMatchingZone } = require('../services/zoneService');
+const { findMatchingZone, ensureCacheFresh } = require('../services/zoneService');
 const { createInquiry, findRecentInquiry, updateInquiry } = require('../services/inquiryService');
-const { createDraftOrder, cartHasLuxuryTag } = require('../services/shopifyService');
-const { extractPostcodeFromPayload } = require('../utils/postcode');
+const { enqueueJob, updatePendingJobPayload } = require('../services/jobService');
+const { calculateRate, getServiceLevelRates, getPickupOptions, ensureRatesFresh } = require('../services/rateService');
+const { getDeliveryDates } = require('../services/deliveryDateService');
+const { findApplicableRule, applyRuleAction } = require('../services/shippingRuleService');
+const { evaluateProductRestrictions, ensureRestrictionsFresh, mayApplyRestrictions } = require('../services/productRestrictionService');
+const { extractPostcodeFromPayload, normalizePostcode } = require('../utils/postcode');
+const { getCheckoutSessionHash } = require('../utils/checkoutFingerprint');
+const { createDeadline, withinBudget } = require('../utils/deadline');
+const { recordCarrierResponse } = require('../services/metricsService');
+const { shopifyConfig } = require('../config/shopify');
+
+// Shopify abandons carrier callbacks after a few seconds - always answer within this
+const CARRIER_BUDGET_MS = parseInt(process.env.CARRIER_BUDGET_MS, 10) || 4000;
+
+// Share of the budget each slow dependency may use (never more than what is left);
+// inquiry writes get whatever remains
+const BUDGET_SHARES = {
+  caches: 0.25,       // First load of the zone, rate and restriction caches (later refreshes run in the background)
+  restrictions: 0.35, // Product lookups for product restrictions
+  rules: 0.2          // Product tag lookups for shipping rules
+};
+
+// Kept back from the last slice so a slow dependency is reported as such before the deadline fallback fires
+const RESPONSE_MARGIN_MS = 50;
 
-// Standard shipping rate in cents (AUD $59.00)
-const STANDARD_RATE = 5900;
+// Flat rate (cents) offered when the budget runs out before any zone could be
+// matched; unset, the inquiry option is offered instead
+const FALLBACK_RATE_CENTS = parseInt(process.env.CARRIER_FALLBACK_RATE_CENTS, 10);
+const FALLBACK_SERVICE_NAME = 'Standard Delivery';
 
 /**
  * Format line items for logging/storage
@@ -27,6 +51,82 @@ function formatProductDetails(items) {
   ).join(', ');
 }
 
+/**
+ * Drop pickup options from warehouses a restricted product cannot ship from
+ */
+function filterPickupOptions(pickups, allowedWarehouseIds) {
+  if (!allowedWarehouseIds) return pickups;
+  return pickups.filter(pickup => allowedWarehouseIds.includes(pickup.warehouseId));
+}
+
+/**
+ * Build free carrier rates for click-and-collect options
+ * The delivery dates are the day the order is ready to collect
+ */
+async function buildPickupRates(pickups, currency) {
+  return Promise.all(pickups.map(async pickup => {
+    const location = [pickup.address, pickup.suburb, [pickup.state, pickup.postcode].filter(Boolean).join(' ')]
+      .filter(Boolean)
+      .join(', ');
+    const dates = await getDeliveryDates({
+      warehouseState: pickup.state,
+      dispatchCutoff: pickup.dispatchCutoff,
+      minDays: 0,
+      maxDays: 0
+    });
+    return {
+      service_name: `Collect from ${pickup.warehouseName}${pickup.suburb ? ` — ${pickup.suburb}` : ''}`,
+      service_code: `PICKUP_${pickup.warehouseId}`,
+      total_price: '0',
+      currency,
+      description: location ? `Pick up your order from ${location}` : `Pick up your order from ${pickup.warehouseName}`,
+      ...dates
+    };
+  }));
+}
+
+/**
+ * Best answer available when the latency budget runs out, from what is known so far:
+ * the zone rate (from the last-known zone cache), or - before zones are known - the
+ * configured fallback rate, otherwise the inquiry option
+ * While product restrictions that could apply are unresolved, only the inquiry option
+ * is offered, so a restricted product never gets an automated rate by timing out
+ * @param {Object} known - { zonesKnown, matchingZone, deliveryRate, currency, restrictionsPending }
+ */
+function buildFallbackRates({ zonesKnown, matchingZone, deliveryRate, currency, restrictionsPending = false }) {
+  if (restrictionsPending) {
+    return [INQUIRY_FALLBACK_RATE(currency)];
+  }
+
+  if (matchingZone && deliveryRate) {
+    return [{
+      service_name: deliveryRate.serviceName,
+      service_code: `ZONE_${matchingZone.warehouseId}`,
+      total_price: String(deliveryRate.priceCents),
+      currency,
+      description: `Delivery from ${matchingZone.warehouseName}`
+    }];
+  }
+
+  if (!zonesKnown && Number.isInteger(FALLBACK_RATE_CENTS)) {
+    return [{
+      service_name: FALLBACK_SERVICE_NAME,
+      service_code: 'FALLBACK',
+      total_price: String(FALLBACK_RATE_CENTS),
+      currency,
+      description: FALLBACK_SERVICE_NAME
+    }];
+  }
+
+  return [{
+    service_name: 'Inquiry Required — We will contact you',
+    service_code: 'INQUIRY',
+    total_price: '0',
+    currency,
+    description: 'Unable to calculate shipping rate. Please contact us for assistance.'
+  }];
+}
+
 /**
  * Extract customer information from carrier request
  * Note: Shopify carrier service callback has limited customer data
@@ -72,6 +172,33 @@ function extractCustomerInfo(payload) {
 async function handleCarrierRates(req, res) {
   const startTime = Date.now();
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const deadline = createDeadline(CARRIER_BUDGET_MS);
+  const degradations = [];
+
+  // Best answer so far - sent as-is if the budget runs out first
+  let fallbackRates = buildFallbackRates({
+    zonesKnown: false,
+    currency: req.body?.rate?.currency || 'AUD',
+    restrictionsPending: mayApplyRestrictions(null)
+  });
+
+  // Respond once and record it; anything ready after the deadline fallback is only logged
+  const respond = (outcome, body) => {
+    if (res.headersSent) {
+      console.warn(`⏱️ [${requestId}] ${outcome} response ready after the deadline (${Date.now() - startTime}ms) - fallback already sent`);
+      return;
+    }
+    clearTimeout(deadlineTimer);
+    recordCarrierResponse({ requestId, outcome, durationMs: Date.now() - startTime, degradations });
+    return res.json(body);
+  };
+
+  const deadlineTimer = setTimeout(() => {
+    degradations.push('deadline_exceeded');
+    console.warn(`⏱️ [${requestId}] Latency budget of ${CARRIER_BUDGET_MS}ms exceeded - returning best available rates`);
+    console.log(`📤 [${requestId}] Carrier rates response: DEADLINE FALLBACK (${Date.now() - startTime}ms)`);
+    respond('deadline_fallback', { rates: fallbackRates });
+  }, deadline.remaining());
 
   try {
     // Enhanced logging for debugging intermittent issues
@@ -98,177 +225,354 @@ async function handleCarrierRates(req, res) {
     const items = req.body?.rate?.items || [];
     const currency = req.body?.rate?.currency || 'AUD';
 
-    // Luxury-tagged products get free shipping for the entire order (any mix of items).
-    const hasLuxuryItem = await cartHasLuxuryTag(items);
-    if (hasLuxuryItem) {
+    // Extract postcode from payload
+    const postcode = extractPostcodeFromPayload(req.body);
+
+    // Zones, rates and restrictions are served from memory (expired caches refresh in the
+    // background), so only a cold start waits on the database - and only for its share of the budget
+    const cacheLoad = await withinBudget(
+      Promise.all([ensureCacheFresh(), ensureRatesFresh(), ensureRestrictionsFresh()]),
+      deadline.slice(BUDGET_SHARES.caches),
+      'Zone, rate and restriction cache load'
+    );
+    if (cacheLoad.timedOut) {
+      degradations.push('cache_load_timeout');
+      fallbackRates = buildFallbackRates({
+        zonesKnown: false,
+        currency,
+        restrictionsPending: mayApplyRestrictions(normalizePostcode(postcode))
+      });
+      console.warn(`⏱️ [${requestId}] Zone, rate and restriction caches not loaded within ${deadline.elapsed()}ms - returning fallback rates`);
+      console.log(`📤 [${requestId}] Carrier rates response: CACHE FALLBACK (${Date.now() - startTime}ms)`);
+      return respond('cache_fallback', { rates: fallbackRates });
+    }
+
+    // Find matching zone for postcode
+    let matchingZone = postcode ? await findMatchingZone(postcode) : null;
+
+    // Price the match - distance-priced warehouses return null beyond their cut-off
+    const priceMatch = match => (match
+      ? calculateRate(match, {
+        postcode: normalizePostcode(postcode),
+        suburb: req.body?.rate?.destination?.city,
+        items
+      })
+      : null);
+    let calculatedRate = priceMatch(matchingZone);
+
+    // Until restrictions resolve, the zone rate is only a fallback where none could apply
+    if (postcode) {
+      fallbackRates = buildFallbackRates({
+        zonesKnown: true,
+        matchingZone,
+        deliveryRate: calculatedRate,
+        currency,
+        restrictionsPending: mayApplyRestrictions(normalizePostcode(postcode))
+      });
+    }
+
+    // Product restrictions (tags/metafields) are evaluated per line item
+    const restrictions = await evaluateProductRestrictions({
+      items,
+      postcode: normalizePostcode(postcode),
+      match: matchingZone,
+      budgetMs: deadline.slice(BUDGET_SHARES.restrictions)
+    });
+    if (restrictions.restrictionsUnavailable) {
+      // Restrictions never loaded - the inquiry is forced
+      degradations.push('restrictions_unavailable');
+    }
+    if (restrictions.unresolvedProducts > 0) {
+      // Products not fetched in time force the inquiry when a restriction could apply to them
+      degradations.push('product_lookup_incomplete');
+    }
+    if (restrictions.rematchedZone) {
+      // The best zone's warehouse can't ship a restricted product - use the best allowed one
+      console.log(`🔀 [${requestId}] Product restrictions moved delivery from ${matchingZone.warehouseName} to ${restrictions.rematchedZone.warehouseName} (ID: ${restrictions.rematchedZone.warehouseId})`);
+      matchingZone = restrictions.rematchedZone;
+      calculatedRate = priceMatch(matchingZone);
+    }
+    if (restrictions.forceInquiry) {
+      console.log(`🚫 [${requestId}] Product restrictions force inquiry: ${restrictions.reasons.join('; ')}`);
+    }
+
+    // Forced inquiry drops the automated rate; handling surcharges are added to it
+    let deliveryRate = restrictions.forceInquiry ? null : calculatedRate;
+    if (deliveryRate && restrictions.surchargeCents > 0) {
+      console.log(`➕ [${requestId}] Product handling surcharge: $${(restrictions.surchargeCents / 100).toFixed(2)} (${restrictions.surcharges.map(surcharge => surcharge.title).join(', ')})`);
+      deliveryRate = {
+        ...deliveryRate,
+        priceCents: deliveryRate.priceCents + restrictions.surchargeCents,
+        productSurchargeCents: restrictions.surchargeCents
+      };
+    }
+    if (postcode) {
+      fallbackRates = buildFallbackRates({ zonesKnown: true, matchingZone, deliveryRate, currency });
+    }
+
+    // Shipping rules (luxury free shipping, promotions) - the first matching rule wins
+    // Restricted products never get an automated rate, free or otherwise
+    const ruleMatch = restrictions.forceInquiry ? { rule: null, unresolvedProducts: 0 } : await findApplicableRule({
+      items,
+      postcode: normalizePostcode(postcode),
+      match: matchingZone,
+      hasDeliveryRate: !!deliveryRate,
+      budgetMs: deadline.slice(BUDGET_SHARES.rules)
+    });
+    if (ruleMatch.unresolvedProducts > 0) {
+      // Products not fetched in time are treated as untagged - a tag rule may have been missed
+      degradations.push('rule_lookup_incomplete');
+    }
+    const shippingRule = ruleMatch.rule;
+
+    // Free rules replace every other rate for the entire order (any mix of items)
+    if (shippingRule && shippingRule.action === 'free') {
       const responseTime = Date.now() - startTime;
-      console.log(`✨ [${requestId}] Luxury item detected - returning free shipping (${responseTime}ms)`);
+      console.log(`✨ [${requestId}] Shipping rule "${shippingRule.name}" (ID: ${shippingRule.id}) matched - returning free shipping (${responseTime}ms)`);
 
-      return res.json({
+      return respond('free_rule', {
         rates: [{
-          service_name: 'Complimentary Delivery',
-          service_code: 'FREE_LUXURY',
+          service_name: shippingRule.service_name || 'Free Delivery',
+          service_code: shippingRule.service_code || `RULE_${shippingRule.id}`,
           total_price: '0',
           currency,
-          description: 'Complimentary shipping on luxury items'
+          description: shippingRule.description || shippingRule.name
         }]
       });
     }
 
-    // Extract postcode from payload
-    const postcode = extractPostcodeFromPayload(req.body);
-
     if (!postcode) {
       console.warn(`⚠️ [${requestId}] No postcode found in carrier request payload`);
       const responseTime = Date.now() - startTime;
       console.log(`📤 [${requestId}] Carrier rates response: NO_POSTCODE (${responseTime}ms)`);
-      // Return inquiry option if postcode is missing
-      return res.json({
+      // Return inquiry option if postcode is missing (plus pickup from unrestricted warehouses)
+      const pickupRates = await buildPickupRates(
+        filterPickupOptions(await getPickupOptions(null), restrictions.allowedWarehouseIds),
+        currency
+      );
+      return respond('no_postcode', {
         rates: [{
           service_name: 'Inquiry Required — We will contact you',
           service_code: 'INQUIRY',
           total_price: '0',
           currency: req.body?.rate?.currency || 'AUD',
           description: 'Postcode information is missing. Please contact us for shipping.'
-        }]
+        }, ...pickupRates]
       });
     }
 
-    // Find matching zone for postcode
-    const matchingZone = await findMatchingZone(postcode);
+    // Click-and-collect is offered whether or not the postcode can be delivered to
+    // (restricted products can only be collected from their allowed warehouses)
+    const pickupRates = await buildPickupRates(
+      filterPickupOptions(await getPickupOptions(normalizePostcode(postcode)), restrictions.allowedWarehouseIds),
+      currency
+    );
+    if (pickupRates.length > 0) {
+      console.log(`🏬 [${requestId}] Adding ${pickupRates.length} pickup option(s): ${pickupRates.map(pickup => pickup.service_code).join(', ')}`);
+    }
+    fallbackRates = [...fallbackRates, ...pickupRates];
 
-    if (matchingZone) {
-      // Postcode matches a warehouse zone - return standard rate
+    if (matchingZone && deliveryRate) {
+      // Postcode matches a warehouse zone - return the resolved rate plus any weight band surcharge
       console.log(`✅ [${requestId}] Postcode ${postcode} matched zone: ${matchingZone.warehouseName} (ID: ${matchingZone.warehouseId})`);
 
       const responseTime = Date.now() - startTime;
-      console.log(`📤 [${requestId}] Carrier rates response: MATCH (${responseTime}ms) - Rate: $${(STANDARD_RATE / 100).toFixed(2)}`);
+      console.log(`📤 [${requestId}] Carrier rates response: MATCH (${responseTime}ms) - Rate: $${(deliveryRate.priceCents / 100).toFixed(2)} (${deliveryRate.source}, ${deliveryRate.totalGrams}g)`);
+
+      const baseDescription = deliveryRate.distanceKm !== undefined
+        ? `Delivery from ${matchingZone.warehouseName}${matchingZone.warehouseSuburb ? ` (${matchingZone.warehouseSuburb})` : ''} — approx. ${Math.round(deliveryRate.distanceKm)} km`
+        : `Delivery from ${matchingZone.warehouseName}`;
+
+      // Discount / fixed-price rules reprice the standard rate (service levels keep their own pricing)
+      const standardPriceCents = shippingRule
+        ? applyRuleAction(shippingRule, deliveryRate.priceCents)
+        : deliveryRate.priceCents;
+      if (shippingRule) {
+        console.log(`🏷️ [${requestId}] Shipping rule "${shippingRule.name}" (ID: ${shippingRule.id}) repriced standard rate: $${(deliveryRate.priceCents / 100).toFixed(2)} → $${(standardPriceCents / 100).toFixed(2)}`);
+      }
+      const description = shippingRule?.description
+        ? `${baseDescription} — ${shippingRule.description}`
+        : baseDescription;
+
+      // Additional service levels (express, white-glove, ...) configured for the warehouse
+      const serviceLevels = getServiceLevelRates(matchingZone, deliveryRate, normalizePostcode(postcode));
+      if (serviceLevels.length > 0) {
+        console.log(`📦 [${requestId}] Adding ${serviceLevels.length} service level(s): ${serviceLevels.map(level => level.serviceCode).join(', ')}`);
+      }
 
-      return res.json({
+      // Estimated delivery window from lead times, dispatch cut-off and holidays
+      const dateOptions = {
+        warehouseState: matchingZone.warehouseState,
+        dispatchCutoff: matchingZone.dispatchCutoff,
+        destinationState: req.body?.rate?.destination?.province
+      };
+      const deliveryDates = await getDeliveryDates({
+        ...dateOptions,
+        minDays: matchingZone.leadTimeMinDays,
+        maxDays: matchingZone.leadTimeMaxDays
+      });
+      const serviceLevelRates = await Promise.all(serviceLevels.map(async level => ({
+        service_name: level.serviceName,
+        service_code: level.serviceCode,
+        total_price: String(level.priceCents),
+        currency: req.body?.rate?.currency || 'AUD',
+        description: level.description || `Delivery from ${matchingZone.warehouseName}`,
+        ...await getDeliveryDates({ ...dateOptions, minDays: level.leadTimeMinDays, maxDays: level.leadTimeMaxDays })
+      })));
+
+      return respond('match', {
         rates: [{
-          service_name: 'Standard Delivery',
+          service_name: deliveryRate.serviceName,
           service_code: `ZONE_${matchingZone.warehouseId}`,
-          total_price: String(STANDARD_RATE),
+          total_price: String(standardPriceCents),
           currency: req.body?.rate?.currency || 'AUD',
-          description: `Delivery from ${matchingZone.warehouseName}`
-        }]
+          description,
+          ...deliveryDates
+        }, ...serviceLevelRates, ...pickupRates]
       });
     }
 
     // Postcode does NOT match any zone - show inquiry option
     // Create draft order and inquiry now (we have all the data)
     // Checkout extension will block checkout when customer clicks "Continue to Payment"
-    console.log(`⚠️ [${requestId}] Postcode ${postcode} does not match any zone - showing inquiry option`);
+    let inquiryReason;
+    if (restrictions.forceInquiry) {
+      inquiryReason = `Product restrictions: ${restrictions.reasons.join('; ')}`;
+    } else if (matchingZone) {
+      inquiryReason = `Postcode ${postcode} matched ${matchingZone.warehouseName} but has no distance rate (unknown or beyond max distance)`;
+    } else {
+      inquiryReason = `Postcode ${postcode} does not match any zone`;
+    }
+    console.log(`⚠️ [${requestId}] ${inquiryReason} - showing inquiry option`);
 
     const customerInfo = extractCustomerInfo(req.body);
     const productDetails = formatProductDetails(items);
     const rate = req.body?.rate || {};
     const destination = rate.destination || {};
 
-    // Check if we already have a recent inquiry for this email (within last 60 min)
+    // Draft order input in the carrier request shape (line items come from the stored inquiry items)
+    const getDraftOrderJobPayload = inquiryId => ({
+      inquiryId,
+      customer: {
+        first_name: customerInfo.first_name,
+        last_name: customerInfo.last_name,
+        email: customerInfo.email,
+        phone: customerInfo.phone
+      },
+      destination: {
+        name: customerInfo.name, // Full name from Shopify
+        first_name: customerInfo.first_name,
+        last_name: customerInfo.last_name,
+        address1: customerInfo.address,
+        address2: customerInfo.address2,
+        city: customerInfo.city,
+        province: customerInfo.province,
+        country: customerInfo.country,
+        postal_code: postcode,
+        phone: customerInfo.phone,
+        company_name: customerInfo.company
+      },
+      reason: inquiryReason
+    });
+
+    // Inquiry rate with detailed message - it doesn't depend on the writes below,
+    // so it is also the answer if they outlast the budget
+    // Checkout extension will block checkout when customer clicks "Continue to Payment"
+    const inquiryRates = [{
+      service_name: 'Inquiry Required — We will contact you',
+      service_code: 'INQUIRY',
+      total_price: '0',
+      currency: req.body?.rate?.currency || 'AUD',
+      description: 'No automated rate for this postcode; store will contact you to finalize shipping. If delivery is possible, you will receive your order. Please note: Your inquiry has been submitted and our team will review your delivery address. We will contact you via email or phone within 24-48 hours to confirm shipping availability and provide a custom shipping quote if delivery is possible.'
+    }, ...pickupRates];
+    fallbackRates = inquiryRates;
+
+    // Check if we already have a recent inquiry for this email or checkout (within last 60 min)
     // This prevents duplicate draft orders when customer changes address
-    console.log(`🔍 [${requestId}] Checking for existing inquiry, Email: ${customerInfo.email || 'guest'}`);
-
-    const existingInquiry = await findRecentInquiry(customerInfo.email, null, 60);
-
-    if (existingInquiry) {
-      // Update existing inquiry with new address/postcode instead of creating duplicate
-      console.log(`♻️ [${requestId}] Found existing inquiry #${existingInquiry.id} - updating instead of creating new`);
-
-      try {
-        const fullAddress = customerInfo.address
-          ? `${customerInfo.address}, ${customerInfo.city || ''}, ${customerInfo.province || ''} ${postcode}`.trim()
-          : null;
-
-        await updateInquiry(existingInquiry.id, {
-          address: fullAddress,
-          postcode: postcode,
-          product_details: productDetails
-        });
-        console.log(`✅ [${requestId}] Inquiry #${existingInquiry.id} updated with new address`);
-      } catch (updateError) {
-        console.error(`❌ [${requestId}] Failed to update inquiry:`, updateError.message);
-      }
+    const sessionHash = getCheckoutSessionHash(req.body, req.headers['x-shopify-shop-domain'] || shopifyConfig.storeDomain);
+    console.log(`🔍 [${requestId}] Checking for existing inquiry, Email: ${customerInfo.email || 'guest'}, Session: ${sessionHash ? sessionHash.slice(0, 12) : 'none'}`);
 
-      // Skip creating new draft order - we already have one
-      console.log(`⏭️ [${requestId}] Skipping draft order creation - using existing draft: ${existingInquiry.draft_order_id}`);
-    } else {
-      // No existing inquiry - create new draft order and inquiry
-      let draftOrderId = null;
-
-      // Create draft order in Shopify (store can see it immediately)
-      try {
-        const draftOrder = await createDraftOrder({
-          customer: {
-            first_name: customerInfo.first_name,
-            last_name: customerInfo.last_name,
+    const recordInquiry = async () => {
+      const existingInquiry = await findRecentInquiry(customerInfo.email, sessionHash, 60);
+
+      if (existingInquiry) {
+        // Update existing inquiry with new address/postcode instead of creating duplicate
+        console.log(`♻️ [${requestId}] Found existing inquiry #${existingInquiry.id} - updating instead of creating new`);
+
+        try {
+          const fullAddress = customerInfo.address
+            ? `${customerInfo.address}, ${customerInfo.city || ''}, ${customerInfo.province || ''} ${postcode}`.trim()
+            : null;
+
+          await updateInquiry(existingInquiry.id, {
+            address: fullAddress,
+            postcode: postcode,
+            product_details: productDetails,
+            inquiry_reason: inquiryReason,
+            email: customerInfo.email,
+            session_hash: sessionHash,
+            items
+          });
+          console.log(`✅ [${requestId}] Inquiry #${existingInquiry.id} updated with new address`);
+
+          // Draft order not created yet - make the queued job use the new address
+          if (!existingInquiry.draft_order_id) {
+            await updatePendingJobPayload('create_draft_order', existingInquiry.id, getDraftOrderJobPayload(existingInquiry.id));
+          }
+        } catch (updateError) {
+          console.error(`❌ [${requestId}] Failed to update inquiry:`, updateError.message);
+        }
+
+        // Skip creating new draft order - we already have one (or one is queued)
+        console.log(`⏭️ [${requestId}] Skipping draft order creation - using existing draft: ${existingInquiry.draft_order_id || 'queued'}`);
+      } else {
+        // No existing inquiry - record it now and queue the Shopify draft order
+        // (created by the job worker, so a slow or failing Admin API call doesn't hold up checkout)
+        try {
+          // Use full name if available, otherwise construct from first/last
+          const customerName = customerInfo.name
+            || (customerInfo.first_name && customerInfo.last_name
+              ? `${customerInfo.first_name} ${customerInfo.last_name}`.trim()
+              : customerInfo.first_name || 'Customer');
+
+          const inquiry = await createInquiry({
+            shop_order_id: null, // No real order yet (checkout will be blocked)
+            draft_order_id: null, // Set by the create_draft_order job
+            customer_name: customerName,
             email: customerInfo.email,
-            phone: customerInfo.phone
-          },
-          destination: {
-            name: customerInfo.name, // Full name from Shopify
-            first_name: customerInfo.first_name,
-            last_name: customerInfo.last_name,
-            address1: customerInfo.address,
-            address2: customerInfo.address2,
-            city: customerInfo.city,
-            province: customerInfo.province,
-            country: customerInfo.country,
-            postal_code: postcode,
             phone: customerInfo.phone,
-            company_name: customerInfo.company
-          },
-          items: items
-        });
-        draftOrderId = draftOrder.id;
-        console.log(`✅ [${requestId}] Draft order created: ${draftOrderId}`);
-      } catch (draftError) {
-        console.error(`❌ [${requestId}] Failed to create draft order:`, draftError.message);
-        // Continue to create inquiry even if draft order fails
+            address: customerInfo.address
+              ? `${customerInfo.address}, ${customerInfo.city || ''}, ${customerInfo.province || ''} ${postcode}`.trim()
+              : null,
+            postcode: postcode,
+            product_details: productDetails,
+            inquiry_reason: inquiryReason,
+            session_hash: sessionHash,
+            items,
+            status: 'new'
+          });
+          console.log(`✅ [${requestId}] Inquiry created: ${inquiry.id}`);
+
+          const jobId = await enqueueJob('create_draft_order', getDraftOrderJobPayload(inquiry.id), { inquiryId: inquiry.id });
+          console.log(`📥 [${requestId}] Draft order creation queued (job #${jobId})`);
+        } catch (inquiryError) {
+          console.error(`❌ [${requestId}] Failed to create inquiry record:`, inquiryError.message);
+          // Continue to return response even if inquiry creation fails
+        }
       }
+    };
 
-      // Create inquiry record in database
-      try {
-        // Use full name if available, otherwise construct from first/last
-        const customerName = customerInfo.name
-          || (customerInfo.first_name && customerInfo.last_name
-            ? `${customerInfo.first_name} ${customerInfo.last_name}`.trim()
-            : customerInfo.first_name || 'Customer');
-
-        const inquiry = await createInquiry({
-          shop_order_id: null, // No real order yet (checkout will be blocked)
-          draft_order_id: draftOrderId,
-          customer_name: customerName,
-          email: customerInfo.email,
-          phone: customerInfo.phone,
-          address: customerInfo.address
-            ? `${customerInfo.address}, ${customerInfo.city || ''}, ${customerInfo.province || ''} ${postcode}`.trim()
-            : null,
-          postcode: postcode,
-          product_details: productDetails,
-          status: 'new'
-        });
-        console.log(`✅ [${requestId}] Inquiry created: ${inquiry.id}`);
-      } catch (inquiryError) {
-        console.error(`❌ [${requestId}] Failed to create inquiry record:`, inquiryError.message);
-        // Continue to return response even if inquiry creation fails
-      }
+    // A slow database gets what is left of the budget; the write then finishes in the background
+    const inquiryWrite = await withinBudget(recordInquiry(), deadline.remaining() - RESPONSE_MARGIN_MS, 'Inquiry write');
+    if (inquiryWrite.timedOut) {
+      degradations.push('inquiry_write_timeout');
+      console.warn(`⏱️ [${requestId}] Inquiry not recorded within the latency budget - finishing in the background`);
     }
 
-    // Return inquiry rate with detailed message
-    // Checkout extension will block checkout when customer clicks "Continue to Payment"
     const responseTime = Date.now() - startTime;
     console.log(`📤 [${requestId}] Carrier rates response: INQUIRY_OPTION (${responseTime}ms)`);
 
-    return res.json({
-      rates: [{
-        service_name: 'Inquiry Required — We will contact you',
-        service_code: 'INQUIRY',
-        total_price: '0',
-        currency: req.body?.rate?.currency || 'AUD',
-        description: 'No automated rate for this postcode; store will contact you to finalize shipping. If delivery is possible, you will receive your order. Please note: Your inquiry has been submitted and our team will review your delivery address. We will contact you via email or phone within 24-48 hours to confirm shipping availability and provide a custom shipping quote if delivery is possible.'
-      }]
-    });
+    return respond('inquiry', { rates: inquiryRates });
 
   } catch (error) {
     // Error handling - return inquiry option as fallback
@@ -283,7 +587,7 @@ async function handleCarrierRates(req, res) {
 
     // Fallback: return inquiry option so customer can see something
     // Store should investigate why carrier service is failing
-    return res.status(200).json({
+    return respond('error_fallback', {
       rates: [{
         service_name: 'Inquiry Required — We will contact you',
         service_code: 'INQUIRY',
@@ -0,0 +1,258 @@
+/**
+ * Shipping rule management endpoints
+ * CRUD operations for the ordered free-shipping / promotion rule set
+ */
+
+const { query } = require('../db/config');
+const { RULE_ACTIONS, loadRulesCache } = require('../services/shippingRuleService');
+const { parsePostcodeList } = require('../utils/postcode');
+
+const INTEGER_FIELDS = ['min_subtotal_cents', 'max_subtotal_cents', 'min_weight_grams', 'max_weight_grams'];
+
+// Columns accepted by create/update (besides name, which is required on create)
+const RULE_COLUMNS = [
+  'sort_order',
+  'active',
+  'product_tags',
+  'product_vendors',
+  'product_collections',
+  ...INTEGER_FIELDS,
+  'postcodes',
+  'warehouse_id',
+  'starts_at',
+  'ends_at',
+  'action',
+  'action_value',
+  'service_name',
+  'service_code',
+  'description'
+];
+
+/**
+ * Parse an optional date-time field; returns undefined when not provided,
+ * null to clear, or a Date (NaN date when invalid)
+ */
+function parseDateField(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  return new Date(value);
+}
+
+/**
+ * Validate rule fields against the merged (stored + incoming) rule
+ * Returns an error message, or null when the fields are valid
+ */
+async function validateRuleFields(rule) {
+  if (!String(rule.name || '').trim()) {
+    return 'name is required';
+  }
+
+  for (const field of INTEGER_FIELDS) {
+    const value = rule[field];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      return `${field} must be a non-negative integer`;
+    }
+  }
+
+  if (Number.isInteger(rule.min_subtotal_cents) && Number.isInteger(rule.max_subtotal_cents) &&
+      rule.max_subtotal_cents <= rule.min_subtotal_cents) {
+    return 'max_subtotal_cents must be greater than min_subtotal_cents';
+  }
+  if (Number.isInteger(rule.min_weight_grams) && Number.isInteger(rule.max_weight_grams) &&
+      rule.max_weight_grams <= rule.min_weight_grams) {
+    return 'max_weight_grams must be greater than min_weight_grams';
+  }
+
+  if (rule.postcodes) {
+    const parsed = parsePostcodeList(rule.postcodes);
+    if (parsed.error) {
+      return parsed.error;
+    }
+  }
+
+  for (const field of ['starts_at', 'ends_at']) {
+    if (rule[field] instanceof Date && Number.isNaN(rule[field].getTime())) {
+      return `${field} must be a valid date-time (e.g. "2026-11-27T00:00:00+11:00")`;
+    }
+  }
+  if (rule.starts_at instanceof Date && rule.ends_at instanceof Date && rule.ends_at <= rule.starts_at) {
+    return 'ends_at must be after starts_at';
+  }
+
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    return `action must be one of: ${RULE_ACTIONS.join(', ')}`;
+  }
+  if (rule.action === 'discount' &&
+      (!Number.isInteger(rule.action_value) || rule.action_value < 1 || rule.action_value > 100)) {
+    return 'action_value must be a percentage between 1 and 100 for discount rules';
+  }
+  if (rule.action === 'fixed' && (!Number.isInteger(rule.action_value) || rule.action_value < 0)) {
+    return 'action_value must be a non-negative integer (cents) for fixed rules';
+  }
+
+  if (rule.service_code && !/^[A-Z0-9_]{1,50}$/.test(rule.service_code)) {
+    return 'service_code must be uppercase letters, digits or underscores (e.g. "FREE_LUXURY")';
+  }
+
+  if (rule.warehouse_id) {
+    const warehouses = await query('SELECT id FROM warehouses WHERE id = ?', [rule.warehouse_id]);
+    if (warehouses.length === 0) {
+      return 'Warehouse not found';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Convert a request body field to its database value
+ */
+function toColumnValue(field, value) {
+  if (field === 'active') return value ? 1 : 0;
+  if (field === 'starts_at' || field === 'ends_at') return parseDateField(value);
+  if (field === 'sort_order') return value || 0;
+  if (value === '') return null;
+  return value;
+}
+
+/**
+ * GET /shipping-rules
+ * Get all shipping rules in evaluation order
+ */
+async function getShippingRules(req, res) {
+  try {
+    const rules = await query('SELECT * FROM shipping_rules ORDER BY sort_order, id');
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching shipping rules:', error);
+    res.status(500).json({ error: 'Failed to fetch shipping rules', message: error.message });
+  }
+}
+
+/**
+ * POST /shipping-rules
+ * Create a shipping rule
+ */
+async function createShippingRule(req, res) {
+  try {
+    const body = req.body || {};
+    const rule = { name: body.name, action: 'free', sort_order: 0, active: 1 };
+    for (const field of RULE_COLUMNS) {
+      if (body[field] !== undefined) rule[field] = toColumnValue(field, body[field]);
+    }
+
+    const validationError = await validateRuleFields(rule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const columns = ['name', ...RULE_COLUMNS.filter(field => rule[field] !== undefined)];
+    const result = await query(`
+      INSERT INTO shipping_rules (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `, columns.map(field => (field === 'name' ? String(rule.name).trim() : rule[field])));
+
+    const created = await query('SELECT * FROM shipping_rules WHERE id = ?', [result.insertId]);
+
+    // Refresh shipping rules cache
+    await loadRulesCache();
+
+    res.status(201).json(created[0]);
+  } catch (error) {
+    console.error('Error creating shipping rule:', error);
+    res.status(500).json({ error: 'Failed to create shipping rule', message: error.message });
+  }
+}
+
+/**
+ * PUT /shipping-rules/:id
+ * Update a shipping rule
+ */
+async function updateShippingRule(req, res) {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    const rules = await query('SELECT * FROM shipping_rules WHERE id = ?', [id]);
+    if (rules.length === 0) {
+      return res.status(404).json({ error: 'Shipping rule not found' });
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const params = [];
+    const merged = { ...rules[0] };
+
+    if (body.name !== undefined) {
+      updates.push('name = ?');
+      params.push(String(body.name).trim());
+      merged.name = body.name;
+    }
+    for (const field of RULE_COLUMNS) {
+      if (body[field] === undefined) continue;
+      const value = toColumnValue(field, body[field]);
+      updates.push(`${field} = ?`);
+      params.push(value);
+      merged[field] = value;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    // Validate against the merged result so min/max and action rules hold after the update
+    const validationError = await validateRuleFields(merged);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    params.push(id);
+
+    await query(`
+      UPDATE shipping_rules SET ${updates.join(', ')} WHERE id = ?
+    `, params);
+
+    const updated = await query('SELECT * FROM shipping_rules WHERE id = ?', [id]);
+
+    // Refresh shipping rules cache
+    await loadRulesCache();
+
+    res.json(updated[0]);
+  } catch (error) {
+    console.error('Error updating shipping rule:', error);
+    res.status(500).json({ error: 'Failed to update shipping rule', message: error.message });
+  }
+}
+
+/**
+ * DELETE /shipping-rules/:id
+ * Delete a shipping rule
+ */
+async function deleteShippingRule(req, res) {
+  try {
+    const { id } = req.params;
+
+    const rules = await query('SELECT * FROM shipping_rules WHERE id = ?', [id]);
+    if (rules.length === 0) {
+      return res.status(404).json({ error: 'Shipping rule not found' });
+    }
+
+    await query('DELETE FROM shipping_rules WHERE id = ?', [id]);
+
+    // Refresh shipping rules cache
+    await loadRulesCache();
+
+    res.json({ message: 'Shipping rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting shipping rule:', error);
+    res.status(500).json({ error: 'Failed to delete shipping rule', message: error.message });
+  }
+}
+
+module.exports = {
+  getShippingRules,
+  createShippingRule,
+  updateShippingRule,
+  deleteShippingRule
+};
@@ -4,7 +4,12 @@
  */
 
 const { query } = require('../db/config');
-const { refreshCache } = require('../services/zoneService');
+const { refreshCache, getZoneOverlaps } = require('../services/zoneService');
+const { normalizeZoneDefinition, getZoneBounds, parsePostcodeList } = require('../utils/postcode');
+const { parseCutoff, validateLeadTimes } = require('../utils/deliveryDate');
+const { IMPORT_MODES, importZones: importZoneRows, exportZonesCsv, parseFlag } = require('../services/zoneImportService');
+
+const PRICING_MODES = ['flat', 'distance'];
 
 /**
  * GET /warehouses
@@ -68,20 +73,66 @@ async function createWarehouse(req, res) {
       state,
       postcode,
       status = 'active',
-      shopify_location_id
+      shopify_location_id,
+      priority = 0,
+      pricing_mode = 'flat',
+      distance_base_cents,
+      max_distance_km,
+      pickup_enabled = false,
+      pickup_postcodes,
+      dispatch_cutoff
     } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Warehouse name is required' });
     }
 
+    if (!PRICING_MODES.includes(pricing_mode)) {
+      return res.status(400).json({ error: `pricing_mode must be one of: ${PRICING_MODES.join(', ')}` });
+    }
+
+    if (!Number.isInteger(priority)) {
+      return res.status(400).json({ error: 'priority must be an integer' });
+    }
+
+    if (pickup_postcodes) {
+      const parsed = parsePostcodeList(pickup_postcodes);
+      if (parsed.error) {
+        return res.status(400).json({ error: `pickup_postcodes: ${parsed.error}` });
+      }
+    }
+
+    if (dispatch_cutoff && parseCutoff(dispatch_cutoff) === null) {
+      return res.status(400).json({ error: 'dispatch_cutoff must be a 24-hour time (e.g. "14:00")' });
+    }
+
     const result = await query(`
-      INSERT INTO warehouses (name, address, suburb, state, postcode, status, shopify_location_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [name, address || null, suburb || null, state || null, postcode || null, status, shopify_location_id || null]);
+      INSERT INTO warehouses (name, address, suburb, state, postcode, status, shopify_location_id, priority, pricing_mode, distance_base_cents, max_distance_km, pickup_enabled, pickup_postcodes, dispatch_cutoff)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      name,
+      address || null,
+      suburb || null,
+      state || null,
+      postcode || null,
+      status,
+      shopify_location_id || null,
+      priority,
+      pricing_mode,
+      distance_base_cents ?? null,
+      max_distance_km ?? null,
+      pickup_enabled ? 1 : 0,
+      pickup_postcodes || null,
+      dispatch_cutoff || null
+    ]);
 
     const warehouse = await query('SELECT * FROM warehouses WHERE id = ?', [result.insertId]);
 
+    // A pickup warehouse offers its collect rate straight away, before it has any zones
+    if (pickup_enabled) {
+      await refreshCache();
+    }
+
     res.status(201).json(warehouse[0]);
   } catch (error) {
     console.error('Error creating warehouse:', error);
@@ -103,9 +154,35 @@ async function updateWarehouse(req, res) {
       state,
       postcode,
       status,
-      shopify_location_id
+      shopify_location_id,
+      priority,
+      pricing_mode,
+      distance_base_cents,
+      max_distance_km,
+      pickup_enabled,
+      pickup_postcodes,
+      dispatch_cutoff
     } = req.body;
 
+    if (pricing_mode !== undefined && !PRICING_MODES.includes(pricing_mode)) {
+      return res.status(400).json({ error: `pricing_mode must be one of: ${PRICING_MODES.join(', ')}` });
+    }
+
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      return res.status(400).json({ error: 'priority must be an integer' });
+    }
+
+    if (pickup_postcodes) {
+      const parsed = parsePostcodeList(pickup_postcodes);
+      if (parsed.error) {
+        return res.status(400).json({ error: `pickup_postcodes: ${parsed.error}` });
+      }
+    }
+
+    if (dispatch_cutoff && parseCutoff(dispatch_cutoff) === null) {
+      return res.status(400).json({ error: 'dispatch_cutoff must be a 24-hour time (e.g. "14:00")' });
+    }
+
     // Build update query dynamically
     const updates = [];
     const params = [];
@@ -138,6 +215,34 @@ async function updateWarehouse(req, res) {
       updates.push('shopify_location_id = ?');
       params.push(shopify_location_id);
     }
+    if (priority !== undefined) {
+      updates.push('priority = ?');
+      params.push(priority);
+    }
+    if (pricing_mode !== undefined) {
+      updates.push('pricing_mode = ?');
+      params.push(pricing_mode);
+    }
+    if (distance_base_cents !== undefined) {
+      updates.push('distance_base_cents = ?');
+      params.push(distance_base_cents);
+    }
+    if (max_distance_km !== undefined) {
+      updates.push('max_distance_km = ?');
+      params.push(max_distance_km);
+    }
+    if (pickup_enabled !== undefined) {
+      updates.push('pickup_enabled = ?');
+      params.push(pickup_enabled ? 1 : 0);
+    }
+    if (pickup_postcodes !== undefined) {
+      updates.push('pickup_postcodes = ?');
+      params.push(pickup_postcodes || null);
+    }
+    if (dispatch_cutoff !== undefined) {
+      updates.push('dispatch_cutoff = ?');
+      params.push(dispatch_cutoff || null);
+    }
 
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
@@ -155,8 +260,12 @@ async function updateWarehouse(req, res) {
       return res.status(404).json({ error: 'Warehouse not found' });
     }
 
-    // Refresh zones cache if warehouse status changed
-    if (status !== undefined) {
+    // Refresh zones cache if warehouse status, priority, pricing, pickup or dispatch details changed
+    if (status !== undefined || priority !== undefined || pricing_mode !== undefined ||
+        distance_base_cents !== undefined || max_distance_km !== undefined ||
+        pickup_enabled !== undefined || pickup_postcodes !== undefined ||
+        name !== undefined || address !== undefined || suburb !== undefined ||
+        state !== undefined || dispatch_cutoff !== undefined) {
       await refreshCache();
     }
 
@@ -192,19 +301,67 @@ async function deleteWarehouse(req, res) {
   }
 }
 
+/**
+ * Build addZone warnings for ambiguous overlaps created by a zone
+ */
+async function findAmbiguousOverlapWarnings(warehouseId, zoneDefinition) {
+  const { start, end } = getZoneBounds(zoneDefinition);
+  const postcodes = new Set();
+  for (let value = start; value <= end; value++) {
+    postcodes.add(String(value).padStart(4, '0'));
+  }
+
+  const overlaps = await getZoneOverlaps({ warehouseId, postcodes });
+  const ambiguous = overlaps.filter(overlap => overlap.ambiguous);
+  if (ambiguous.length === 0) {
+    return [];
+  }
+
+  const otherWarehouses = [...new Set(ambiguous.flatMap(overlap =>
+    overlap.candidates
+      .filter(candidate => String(candidate.warehouseId) !== String(warehouseId))
+      .map(candidate => candidate.warehouseName)
+  ))];
+
+  return [{
+    type: 'ambiguous_overlap',
+    message: `${ambiguous.length} postcode(s) are covered equally specifically by ${otherWarehouses.join(', ')} with the same priority - set warehouse priority to choose a winner`,
+    count: ambiguous.length,
+    postcodes: ambiguous.slice(0, 50).map(overlap => overlap.postcode)
+  }];
+}
+
 /**
  * POST /warehouses/:id/zones
  * Add zones to a warehouse
+ * Supports exact postcodes, prefixes (prefix=true) and inclusive ranges (range_end);
+ * exclude=true makes the zone remove coverage instead of adding it
  */
 async function addZone(req, res) {
   try {
     const { id } = req.params;
-    const { postcode, prefix = false, note } = req.body;
+    const {
+      postcode,
+      prefix = false,
+      range_end,
+      exclude = false,
+      note,
+      lead_time_min_days = null,
+      lead_time_max_days = null
+    } = req.body;
 
-    if (!postcode) {
-      return res.status(400).json({ error: 'Postcode is required' });
+    // Validate exact, prefix or range definition
+    const definition = normalizeZoneDefinition({ postcode, prefix, range_end });
+    if (definition.error) {
+      return res.status(400).json({ error: definition.error });
     }
 
+    const leadTimeError = validateLeadTimes(lead_time_min_days, lead_time_max_days);
+    if (leadTimeError) {
+      return res.status(400).json({ error: leadTimeError });
+    }
+    const { zone: zoneDefinition } = definition;
+
     // Verify warehouse exists
     const warehouses = await query('SELECT * FROM warehouses WHERE id = ?', [id]);
     if (warehouses.length === 0) {
@@ -213,8 +370,8 @@ async function addZone(req, res) {
 
     // Check if zone already exists
     const existing = await query(
-      'SELECT * FROM zones WHERE warehouse_id = ? AND postcode = ?',
-      [id, postcode]
+      'SELECT * FROM zones WHERE warehouse_id = ? AND postcode = ? AND prefix = ? AND range_end <=> ? AND exclude = ?',
+      [id, zoneDefinition.postcode, zoneDefinition.prefix ? 1 : 0, zoneDefinition.range_end, exclude ? 1 : 0]
     );
 
     if (existing.length > 0) {
@@ -222,16 +379,28 @@ async function addZone(req, res) {
     }
 
     const result = await query(`
-      INSERT INTO zones (warehouse_id, postcode, prefix, note)
-      VALUES (?, ?, ?, ?)
-    `, [id, postcode, prefix ? 1 : 0, note || null]);
+      INSERT INTO zones (warehouse_id, postcode, prefix, range_end, exclude, note, lead_time_min_days, lead_time_max_days)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      zoneDefinition.postcode,
+      zoneDefinition.prefix ? 1 : 0,
+      zoneDefinition.range_end,
+      exclude ? 1 : 0,
+      note || null,
+      lead_time_min_days,
+      lead_time_max_days
+    ]);
 
     const zone = await query('SELECT * FROM zones WHERE id = ?', [result.insertId]);
 
     // Refresh zones cache
     await refreshCache();
 
-    res.status(201).json(zone[0]);
+    // Warn when the new zone ties with another warehouse (winner decided only by ID)
+    const warnings = exclude ? [] : await findAmbiguousOverlapWarnings(id, zoneDefinition);
+
+    res.status(201).json(warnings.length > 0 ? { ...zone[0], warnings } : zone[0]);
   } catch (error) {
     console.error('Error adding zone:', error);
     res.status(500).json({ error: 'Failed to add zone', message: error.message });
@@ -258,6 +427,70 @@ async function getZones(req, res) {
   }
 }
 
+/**
+ * PUT /warehouses/:id/zones/:zoneId
+ * Update a zone's note and delivery lead times
+ * (the postcode definition is fixed - delete and re-add the zone to change it)
+ */
+async function updateZone(req, res) {
+  try {
+    const { id, zoneId } = req.params;
+    const { note, lead_time_min_days, lead_time_max_days } = req.body;
+
+    const zones = await query('SELECT * FROM zones WHERE id = ? AND warehouse_id = ?', [zoneId, id]);
+    if (zones.length === 0) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    // Validate against the merged result so min <= max holds after the update
+    const current = zones[0];
+    const leadTimeError = validateLeadTimes(
+      lead_time_min_days !== undefined ? lead_time_min_days : current.lead_time_min_days,
+      lead_time_max_days !== undefined ? lead_time_max_days : current.lead_time_max_days
+    );
+    if (leadTimeError) {
+      return res.status(400).json({ error: leadTimeError });
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const params = [];
+
+    if (note !== undefined) {
+      updates.push('note = ?');
+      params.push(note || null);
+    }
+    if (lead_time_min_days !== undefined) {
+      updates.push('lead_time_min_days = ?');
+      params.push(lead_time_min_days);
+    }
+    if (lead_time_max_days !== undefined) {
+      updates.push('lead_time_max_days = ?');
+      params.push(lead_time_max_days);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    params.push(zoneId);
+
+    await query(`
+      UPDATE zones SET ${updates.join(', ')} WHERE id = ?
+    `, params);
+
+    const zone = await query('SELECT * FROM zones WHERE id = ?', [zoneId]);
+
+    // Refresh zones cache
+    await refreshCache();
+
+    res.json(zone[0]);
+  } catch (error) {
+    console.error('Error updating zone:', error);
+    res.status(500).json({ error: 'Failed to update zone', message: error.message });
+  }
+}
+
 /**
  * DELETE /warehouses/:id/zones/:zoneId
  * Delete a zone
@@ -283,6 +516,94 @@ async function deleteZone(req, res) {
   }
 }
 
+/**
+ * GET /zones/overlaps
+ * Report postcodes covered by more than one active warehouse and which one wins
+ * Query: warehouse_id (only overlaps involving this warehouse), ambiguous=true (only ties)
+ */
+async function getZoneOverlapsRoute(req, res) {
+  try {
+    let overlaps = await getZoneOverlaps({ warehouseId: req.query.warehouse_id });
+
+    if (parseFlag(req.query.ambiguous)) {
+      overlaps = overlaps.filter(overlap => overlap.ambiguous);
+    }
+
+    res.json({
+      count: overlaps.length,
+      ambiguousCount: overlaps.filter(overlap => overlap.ambiguous).length,
+      overlaps
+    });
+  } catch (error) {
+    console.error('Error fetching zone overlaps:', error);
+    res.status(500).json({ error: 'Failed to fetch zone overlaps', message: error.message });
+  }
+}
+
+/**
+ * POST /warehouses/:id/zones/import
+ * Bulk import zones from CSV (text/csv) or JSON
+ * Query/body options: mode=merge|replace (default merge), dryRun=true
+ */
+async function importZones(req, res) {
+  try {
+    const { id } = req.params;
+    const options = typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    const mode = req.query.mode || options.mode || 'merge';
+    const dryRun = parseFlag(req.query.dryRun ?? options.dryRun);
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+
+    // Verify warehouse exists
+    const warehouses = await query('SELECT * FROM warehouses WHERE id = ?', [id]);
+    if (warehouses.length === 0) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const result = await importZoneRows(id, req.body, { mode, dryRun });
+
+    // Refresh zones cache once for the whole import
+    if (result.applied) {
+      await refreshCache();
+    }
+
+    const statusCode = result.errors.length > 0 && !dryRun ? 422 : 200;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error importing zones:', error);
+    res.status(500).json({ error: 'Failed to import zones', message: error.message });
+  }
+}
+
+/**
+ * GET /warehouses/:id/zones/export
+ * Export a warehouse's zones as CSV (same format as the import)
+ */
+async function exportZones(req, res) {
+  try {
+    const { id } = req.params;
+
+    const warehouses = await query('SELECT * FROM warehouses WHERE id = ?', [id]);
+    if (warehouses.length === 0) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const csv = await exportZonesCsv(id);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="zones_warehouse_${id}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting zones:', error);
+    res.status(500).json({ error: 'Failed to export zones', message: error.message });
+  }
+}
+
 module.exports = {
   getWarehouses,
   getWarehouse,
@@ -291,6 +612,10 @@ module.exports = {
   deleteWarehouse,
   addZone,
   getZones,
-  deleteZone
+  updateZone,
+  deleteZone,
+  importZones,
+  exportZones,
+  getZoneOverlapsRoute
 };
 
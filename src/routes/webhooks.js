@@ -0,0 +1,47 @@
+/**
+ * Shopify webhook endpoint
+ * POST /webhooks/:topic (e.g. /webhooks/orders/create)
+ * Requests are signature-checked by verifyShopifyWebhook before reaching this handler
+ */
+
+const { processWebhook } = require('../services/webhookService');
+
+/**
+ * POST /webhooks/:topic
+ * Record, deduplicate and dispatch a webhook delivery
+ * Non-2xx responses make Shopify retry the delivery
+ */
+async function handleWebhook(req, res) {
+  const topic = req.params.topic;
+  const headerTopic = req.get('X-Shopify-Topic');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  const shopDomain = req.get('X-Shopify-Shop-Domain');
+
+  if (!webhookId) {
+    return res.status(400).json({ error: 'X-Shopify-Webhook-Id header is required' });
+  }
+  if (headerTopic && headerTopic !== topic) {
+    return res.status(400).json({ error: `Webhook topic ${headerTopic} sent to /webhooks/${topic}` });
+  }
+
+  try {
+    const result = await processWebhook({ topic, webhookId, shopDomain, payload: req.body });
+
+    if (result.status === 'in_progress') {
+      // Another instance is still processing this delivery - ask Shopify to retry later
+      return res.status(409).json({ error: 'Webhook delivery is already being processed' });
+    }
+    if (result.status !== 'processed') {
+      console.log(`ℹ️  Webhook ${topic} (${webhookId}) ${result.status}`);
+    }
+
+    res.json({ received: true, status: result.status });
+  } catch (error) {
+    console.error(`Error handling ${topic} webhook:`, error);
+    res.status(500).json({ error: 'Failed to process webhook', message: error.message });
+  }
+}
+
+module.exports = {
+  handleWebhook
+};
@@ -0,0 +1,200 @@
+/**
+ * Weight band management endpoints
+ * CRUD operations for cart weight pricing bands
+ */
+
+const { query } = require('../db/config');
+const { refreshCache } = require('../services/zoneService');
+
+const INTEGER_FIELDS = ['min_grams', 'max_grams', 'surcharge_cents', 'per_item_cents'];
+
+/**
+ * Validate weight band fields shared by create and update
+ * Returns an error message, or null when the fields are valid
+ */
+async function validateBandFields(band) {
+  for (const field of INTEGER_FIELDS) {
+    const value = band[field];
+    if (value === undefined || (field === 'max_grams' && value === null)) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      return `${field} must be a non-negative integer`;
+    }
+  }
+
+  if (band.max_grams !== null && band.max_grams !== undefined && band.max_grams <= (band.min_grams || 0)) {
+    return 'max_grams must be greater than min_grams';
+  }
+
+  if (band.warehouse_id) {
+    const warehouses = await query('SELECT id FROM warehouses WHERE id = ?', [band.warehouse_id]);
+    if (warehouses.length === 0) {
+      return 'Warehouse not found';
+    }
+  }
+
+  if (band.zone_id) {
+    if (!band.warehouse_id) {
+      return 'warehouse_id is required when zone_id is set';
+    }
+    const zones = await query('SELECT id FROM zones WHERE id = ? AND warehouse_id = ?', [band.zone_id, band.warehouse_id]);
+    if (zones.length === 0) {
+      return 'zone_id does not belong to this warehouse';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * GET /weight-bands
+ * Get all weight bands (optionally filtered by warehouse_id)
+ */
+async function getWeightBands(req, res) {
+  try {
+    let sql = 'SELECT * FROM weight_bands WHERE 1=1';
+    const params = [];
+
+    if (req.query.warehouse_id) {
+      sql += ' AND warehouse_id = ?';
+      params.push(req.query.warehouse_id);
+    }
+
+    sql += ' ORDER BY warehouse_id, zone_id, min_grams';
+
+    const bands = await query(sql, params);
+    res.json(bands);
+  } catch (error) {
+    console.error('Error fetching weight bands:', error);
+    res.status(500).json({ error: 'Failed to fetch weight bands', message: error.message });
+  }
+}
+
+/**
+ * POST /weight-bands
+ * Create a weight band (global, per warehouse, or per zone)
+ */
+async function createWeightBand(req, res) {
+  try {
+    const {
+      warehouse_id,
+      zone_id,
+      min_grams = 0,
+      max_grams = null,
+      surcharge_cents = 0,
+      per_item_cents = 0,
+      note
+    } = req.body;
+
+    const validationError = await validateBandFields({
+      warehouse_id, zone_id, min_grams, max_grams, surcharge_cents, per_item_cents
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await query(`
+      INSERT INTO weight_bands (warehouse_id, zone_id, min_grams, max_grams, surcharge_cents, per_item_cents, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [warehouse_id || null, zone_id || null, min_grams, max_grams, surcharge_cents, per_item_cents, note || null]);
+
+    const band = await query('SELECT * FROM weight_bands WHERE id = ?', [result.insertId]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.status(201).json(band[0]);
+  } catch (error) {
+    console.error('Error creating weight band:', error);
+    res.status(500).json({ error: 'Failed to create weight band', message: error.message });
+  }
+}
+
+/**
+ * PUT /weight-bands/:id
+ * Update a weight band
+ */
+async function updateWeightBand(req, res) {
+  try {
+    const { id } = req.params;
+
+    const bands = await query('SELECT * FROM weight_bands WHERE id = ?', [id]);
+    if (bands.length === 0) {
+      return res.status(404).json({ error: 'Weight band not found' });
+    }
+
+    const fields = ['warehouse_id', 'zone_id', ...INTEGER_FIELDS, 'note'];
+
+    // Validate against the merged result so bounds stay consistent after the update
+    const merged = { ...bands[0] };
+    for (const field of fields) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    }
+    const validationError = await validateBandFields(merged);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Build update query dynamically
+    const updates = [];
+    const params = [];
+
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(req.body[field]);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    params.push(id);
+
+    await query(`
+      UPDATE weight_bands SET ${updates.join(', ')} WHERE id = ?
+    `, params);
+
+    const band = await query('SELECT * FROM weight_bands WHERE id = ?', [id]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.json(band[0]);
+  } catch (error) {
+    console.error('Error updating weight band:', error);
+    res.status(500).json({ error: 'Failed to update weight band', message: error.message });
+  }
+}
+
+/**
+ * DELETE /weight-bands/:id
+ * Delete a weight band
+ */
+async function deleteWeightBand(req, res) {
+  try {
+    const { id } = req.params;
+
+    const bands = await query('SELECT * FROM weight_bands WHERE id = ?', [id]);
+    if (bands.length === 0) {
+      return res.status(404).json({ error: 'Weight band not found' });
+    }
+
+    await query('DELETE FROM weight_bands WHERE id = ?', [id]);
+
+    // Refresh zones and rates cache
+    await refreshCache();
+
+    res.json({ message: 'Weight band deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting weight band:', error);
+    res.status(500).json({ error: 'Failed to delete weight band', message: error.message });
+  }
+}
+
+module.exports = {
+  getWeightBands,
+  createWeightBand,
+  updateWeightBand,
+  deleteWeightBand
+};
@@ -0,0 +1,117 @@
+/**
+ * Benchmark zone lookups: linear scan vs precomputed postcode index
+ * Runs without a database using public/zones_import_final.csv, scaled up
+ * with synthetic zones to show lookup cost stays flat as zones grow
+ *
+ * Usage:
+ *   node src/scripts/benchmarkZoneLookup.js [--lookups 200000]
+ *
+ * Or with npm:
+ *   npm run benchmark:zones
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../utils/csv');
+const { normalizePostcode, matchesZone } = require('../utils/postcode');
+const { buildZoneIndex, lookupCandidates } = require('../utils/zoneIndex');
+
+const CSV_FILE = path.join(__dirname, '../../public/zones_import_final.csv');
+
+/**
+ * Previous lookup: exact pass then prefix pass over every zone
+ */
+function linearLookup(zones, postcode) {
+  const normalized = normalizePostcode(postcode);
+  for (const zone of zones) {
+    if (!zone.prefix && matchesZone(normalized, zone.postcode, false)) return zone;
+  }
+  for (const zone of zones) {
+    if (zone.prefix && matchesZone(normalized, zone.postcode, true)) return zone;
+  }
+  return null;
+}
+
+function indexedLookup(index, postcode) {
+  const normalized = normalizePostcode(postcode);
+  return lookupCandidates(index, normalized)[0] || null;
+}
+
+function loadCsvZones() {
+  return parseCsv(fs.readFileSync(CSV_FILE, 'utf8')).map((row, i) => ({
+    id: i + 1,
+    warehouse_id: parseInt(row.warehouse_id, 10),
+    postcode: row.postcode,
+    prefix: row.prefix === '1',
+    range_end: null,
+    exclude: false,
+    warehouse_priority: 0
+  }));
+}
+
+/**
+ * Pad the CSV zones with synthetic exact zones up to the requested count
+ */
+function scaleZones(baseZones, count) {
+  const zones = baseZones.slice(0, count);
+  for (let i = zones.length; i < count; i++) {
+    zones.push({
+      id: i + 1,
+      warehouse_id: 3,
+      postcode: String((i * 7919) % 10000).padStart(4, '0'),
+      prefix: false,
+      range_end: null,
+      exclude: false,
+      warehouse_priority: 0
+    });
+  }
+  return zones;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const lookupsIndex = args.indexOf('--lookups');
+  const lookups = lookupsIndex !== -1 ? parseInt(args[lookupsIndex + 1], 10) : 200000;
+
+  // Mix of covered and uncovered postcodes (uncovered is the linear worst case)
+  const postcodes = Array.from({ length: 1000 }, (_, i) => String((i * 37) % 10000).padStart(4, '0'));
+  const baseZones = loadCsvZones();
+
+  console.log('⏱️  Zone lookup benchmark');
+  console.log(`   Lookups per run: ${lookups}\n`);
+  console.log('   zones | index build | linear µs/lookup | indexed µs/lookup | speedup');
+  console.log('   ' + '-'.repeat(70));
+
+  for (const count of [100, baseZones.length, 5000, 10000]) {
+    const zones = scaleZones(baseZones, count);
+
+    let index;
+    const buildMs = time(() => { index = buildZoneIndex(zones); });
+
+    // Linear scan is slow at scale - sample fewer lookups and normalise per lookup
+    const linearRuns = Math.min(lookups, 2000);
+    const linearMs = time(() => {
+      for (let i = 0; i < linearRuns; i++) linearLookup(zones, postcodes[i % postcodes.length]);
+    });
+    const indexedMs = time(() => {
+      for (let i = 0; i < lookups; i++) indexedLookup(index, postcodes[i % postcodes.length]);
+    });
+
+    const linearPer = (linearMs * 1000) / linearRuns;
+    const indexedPer = (indexedMs * 1000) / lookups;
+    console.log(
+      `   ${String(count).padStart(5)} | ${buildMs.toFixed(1).padStart(8)} ms | ` +
+      `${linearPer.toFixed(3).padStart(16)} | ${indexedPer.toFixed(3).padStart(17)} | ${(linearPer / indexedPer).toFixed(0).padStart(6)}x`
+    );
+  }
+
+  console.log('\n   Indexed lookup cost should stay flat as the zone count grows.\n');
+}
+
+main();
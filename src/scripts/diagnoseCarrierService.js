@@ -8,7 +8,8 @@
 
 require('dotenv').config();
 const axios = require('axios');
-const { getCarrierServices, getAdminApiUrl, getAdminHeaders } = require('../services/shopifyService');
+const { getCarrierServices } = require('../services/shopifyService');
+const shopifyAdmin = require('../services/shopifyAdminClient');
 const { shopifyConfig } = require('../config/shopify');
 
 async function diagnoseCarrierService() {
@@ -83,11 +84,8 @@ async function diagnoseCarrierService() {
     // 3. Check Shipping Zones
     console.log('\n3️⃣  Checking Shipping Zones...');
     try {
-        const apiUrl = getAdminApiUrl();
-        const headers = getAdminHeaders();
-
-        const zonesResponse = await axios.get(`${apiUrl}/shipping_zones.json`, { headers });
-        const zones = zonesResponse.data.shipping_zones || [];
+        const zonesData = await shopifyAdmin.get('/shipping_zones.json');
+        const zones = zonesData.shipping_zones || [];
 
         console.log(`   Found ${zones.length} shipping zone(s)`);
 
@@ -96,12 +94,9 @@ async function diagnoseCarrierService() {
 
         for (const zone of zones) {
             try {
-                const ratesResponse = await axios.get(
-                    `${apiUrl}/shipping_zones/${zone.id}/shipping_rates.json`,
-                    { headers }
-                );
+                const ratesData = await shopifyAdmin.get(`/shipping_zones/${zone.id}/shipping_rates.json`);
 
-                const rates = ratesResponse.data.shipping_rates || [];
+                const rates = ratesData.shipping_rates || [];
                 const hasCarrierRates = rates.some(r => r.carrier_service_id);
 
                 if (hasCarrierRates) {
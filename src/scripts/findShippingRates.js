@@ -7,24 +7,17 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-const { getAdminApiUrl, getAdminHeaders } = require('../config/shopify');
+const shopifyAdmin = require('../services/shopifyAdminClient');
 
 async function findShippingRates() {
   try {
     console.log('🔍 Searching for all shipping rates in Shopify...\n');
     
-    const apiUrl = getAdminApiUrl();
-    const headers = getAdminHeaders();
-    
     // Get all shipping zones
     console.log('📦 Fetching shipping zones...');
-    const zonesResponse = await axios.get(
-      `${apiUrl}/shipping_zones.json`,
-      { headers }
-    );
+    const zonesData = await shopifyAdmin.get('/shipping_zones.json');
     
-    const zones = zonesResponse.data.shipping_zones || [];
+    const zones = zonesData.shipping_zones || [];
     console.log(`Found ${zones.length} shipping zone(s)\n`);
     
     let foundRate = false;
@@ -37,12 +30,9 @@ async function findShippingRates() {
       
       // Get shipping rates for this zone
       try {
-        const ratesResponse = await axios.get(
-          `${apiUrl}/shipping_zones/${zone.id}/shipping_rates.json`,
-          { headers }
-        );
+        const ratesData = await shopifyAdmin.get(`/shipping_zones/${zone.id}/shipping_rates.json`);
         
-        const rates = ratesResponse.data.shipping_rates || [];
+        const rates = ratesData.shipping_rates || [];
         
         if (rates.length === 0) {
           console.log(`   ⚠️  No shipping rates found in this zone`);
@@ -71,12 +61,9 @@ async function findShippingRates() {
     // Get carrier services
     console.log(`\n\n📦 Fetching carrier services...`);
     try {
-      const carrierResponse = await axios.get(
-        `${apiUrl}/carrier_services.json`,
-        { headers }
-      );
+      const carrierData = await shopifyAdmin.get('/carrier_services.json');
       
-      const carriers = carrierResponse.data.carrier_services || [];
+      const carriers = carrierData.carrier_services || [];
       console.log(`Found ${carriers.length} carrier service(s):`);
       
       for (const carrier of carriers) {
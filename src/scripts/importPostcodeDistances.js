@@ -0,0 +1,163 @@
+/**
+ * Import postcode distances from the suburb/postcode distance spreadsheet
+ * Loads postcode → approximate drive distance (per warehouse) into postcode_distances
+ *
+ * Rows are assigned to warehouses by the spreadsheet's state column, matched
+ * against active warehouses with the same state. Override with --map or --warehouse.
+ *
+ * Usage:
+ *   node src/scripts/importPostcodeDistances.js [options]
+ *
+ * Or with npm:
+ *   npm run import-distances -- [options]
+ *
+ * Options:
+ *   --file <path>        Spreadsheet to import (default: public/nsw_vic_suburb_postcodes_distance_clean.xlsx)
+ *   --sheet <name>       Worksheet name (default: All)
+ *   --map NSW:1,VIC:2    Map spreadsheet states to warehouse IDs
+ *   --warehouse <id>     Assign every row to one warehouse
+ *   --replace            Delete existing distances for the target warehouses first
+ */
+
+require('dotenv').config();
+const path = require('path');
+const XLSX = require('xlsx');
+const { query, pool } = require('../db/config');
+const { normalizePostcode } = require('../utils/postcode');
+
+const DEFAULT_FILE = path.join(__dirname, '../../public/nsw_vic_suburb_postcodes_distance_clean.xlsx');
+const DISTANCE_COLUMN = 'approx_drive_distance_km_from_warehouse';
+const BATCH_SIZE = 500;
+
+function getArg(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * Build state → warehouse ID map from CLI options or active warehouses
+ */
+async function resolveWarehouseMap(args) {
+  const warehouseId = getArg(args, '--warehouse');
+  if (warehouseId) {
+    return { '*': parseInt(warehouseId) };
+  }
+
+  const mapArg = getArg(args, '--map');
+  if (mapArg) {
+    const map = {};
+    for (const pair of mapArg.split(',')) {
+      const [state, id] = pair.split(':');
+      map[state.trim().toUpperCase()] = parseInt(id);
+    }
+    return map;
+  }
+
+  const warehouses = await query("SELECT id, state FROM warehouses WHERE status = 'active' AND state IS NOT NULL");
+  const map = {};
+  for (const warehouse of warehouses) {
+    const state = warehouse.state.toUpperCase();
+    if (!map[state]) map[state] = warehouse.id;
+  }
+  return map;
+}
+
+/**
+ * Read and validate spreadsheet rows
+ */
+function readRows(file, sheetName) {
+  const workbook = XLSX.readFile(file);
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found (available: ${workbook.SheetNames.join(', ')})`);
+  }
+
+  const rows = [];
+  const skipped = [];
+
+  XLSX.utils.sheet_to_json(sheet).forEach((row, index) => {
+    const postcode = normalizePostcode(row.postcode);
+    const suburb = row.suburb ? String(row.suburb).trim().toUpperCase() : null;
+    const distance = Number(row[DISTANCE_COLUMN]);
+
+    if (!postcode || !suburb || !Number.isFinite(distance) || distance < 0) {
+      skipped.push(index + 2); // +2: header row and 1-based rows
+      return;
+    }
+
+    rows.push({
+      postcode,
+      suburb,
+      state: row.state ? String(row.state).trim().toUpperCase() : null,
+      distance
+    });
+  });
+
+  return { rows, skipped };
+}
+
+async function importPostcodeDistances() {
+  const args = process.argv.slice(2);
+  const file = getArg(args, '--file') || DEFAULT_FILE;
+  const sheetName = getArg(args, '--sheet') || 'All';
+  const replace = args.includes('--replace');
+
+  try {
+    console.log('📏 Importing postcode distances...\n');
+    console.log(`   File: ${file}`);
+    console.log(`   Sheet: ${sheetName}`);
+
+    const { rows, skipped } = readRows(file, sheetName);
+    console.log(`   Rows read: ${rows.length}${skipped.length ? ` (skipped ${skipped.length} invalid rows)` : ''}`);
+
+    const warehouseMap = await resolveWarehouseMap(args);
+    if (Object.keys(warehouseMap).length === 0) {
+      throw new Error('No warehouses to import into - use --warehouse <id> or --map STATE:id');
+    }
+
+    const values = [];
+    const unmappedStates = new Set();
+    for (const row of rows) {
+      const warehouseId = warehouseMap['*'] || warehouseMap[row.state];
+      if (!warehouseId) {
+        unmappedStates.add(row.state || '(blank)');
+        continue;
+      }
+      values.push([warehouseId, row.postcode, row.suburb, row.distance]);
+    }
+
+    if (unmappedStates.size > 0) {
+      console.log(`   ⚠️  No warehouse for state(s): ${[...unmappedStates].join(', ')} - rows skipped`);
+    }
+
+    const warehouseIds = [...new Set(values.map(value => value[0]))];
+    console.log(`   Target warehouses: ${warehouseIds.join(', ') || '(none)'}\n`);
+
+    if (replace) {
+      for (const warehouseId of warehouseIds) {
+        const deleted = await query('DELETE FROM postcode_distances WHERE warehouse_id = ?', [warehouseId]);
+        console.log(`   🗑️  Cleared ${deleted.affectedRows} existing distances for warehouse ${warehouseId}`);
+      }
+    }
+
+    // Bulk upsert in batches (pool.query supports nested array VALUES expansion)
+    for (let i = 0; i < values.length; i += BATCH_SIZE) {
+      const batch = values.slice(i, i + BATCH_SIZE);
+      await pool.query(`
+        INSERT INTO postcode_distances (warehouse_id, postcode, suburb, distance_km)
+        VALUES ?
+        ON DUPLICATE KEY UPDATE distance_km = VALUES(distance_km)
+      `, [batch]);
+    }
+
+    console.log(`✅ Imported ${values.length} postcode distances`);
+    console.log('   Set pricing_mode to "distance" on a warehouse to price from these distances.\n');
+  } catch (error) {
+    console.error('❌ Error importing postcode distances:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+importPostcodeDistances();
@@ -0,0 +1,70 @@
+/**
+ * Background job worker
+ * Runs due jobs from the job queue (e.g. creating draft orders for new
+ * inquiries). On Vercel the /api/cron/process-jobs cron does this; on a
+ * long-running server run this script with --watch, or from cron.
+ *
+ * Usage:
+ *   node src/scripts/processJobs.js [options]
+ *
+ * Or with npm:
+ *   npm run process-jobs -- [options]
+ *
+ * Options:
+ *   --watch           Keep running, polling for due jobs
+ *   --interval <sec>  Poll interval with --watch (default: 10)
+ */
+
+require('dotenv').config();
+const { pool } = require('../db/config');
+const { processJobs, getJobCounts } = require('../services/jobService');
+
+const DEFAULT_INTERVAL_SECONDS = 10;
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function logSummary(summary) {
+  console.log(`   ${summary.processed} job(s) processed: ${summary.completed} completed, ${summary.retry} retrying, ${summary.dead} dead`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const watch = args.includes('--watch');
+  const intervalSeconds = parseInt(getOption(args, '--interval'), 10) || DEFAULT_INTERVAL_SECONDS;
+
+  try {
+    if (!watch) {
+      console.log('⚙️  Processing due jobs...');
+      logSummary(await processJobs());
+
+      const counts = await getJobCounts();
+      console.log(`\n✅ Queue: ${counts.pending} pending, ${counts.running} running, ${counts.dead} dead`);
+      if (counts.dead > 0) {
+        console.log('   Inspect dead jobs with GET /jobs?status=dead and requeue with POST /jobs/:id/retry');
+      }
+      return;
+    }
+
+    console.log(`⚙️  Job worker polling every ${intervalSeconds}s (Ctrl+C to stop)`);
+    let stopping = false;
+    process.on('SIGINT', () => { stopping = true; });
+    process.on('SIGTERM', () => { stopping = true; });
+
+    while (!stopping) {
+      const summary = await processJobs();
+      if (summary.processed > 0) logSummary(summary);
+      await new Promise(resolve => setTimeout(resolve, intervalSeconds * 1000));
+    }
+    console.log('👋 Job worker stopped');
+  } catch (error) {
+    console.error('\n❌ Job worker failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
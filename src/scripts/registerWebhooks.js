@@ -0,0 +1,89 @@
+/**
+ * Script to register the app's webhook subscriptions with Shopify
+ * Subscribes every topic handled by /webhooks/:topic, and points existing
+ * subscriptions at the current APP_BASE_URL
+ *
+ * Run after deploying (and after changing APP_BASE_URL). Webhooks created
+ * this way are signed with SHOPIFY_API_SECRET.
+ *
+ * Usage:
+ *   node src/scripts/registerWebhooks.js
+ *
+ * Or with npm:
+ *   npm run register-webhooks
+ */
+
+require('dotenv').config();
+const {
+  getWebhookSubscriptions,
+  registerWebhookSubscription,
+  updateWebhookSubscription
+} = require('../services/shopifyService');
+const { WEBHOOK_TOPICS } = require('../services/webhookService');
+const { shopifyConfig } = require('../config/shopify');
+
+async function main() {
+  try {
+    console.log('🔍 Checking Shopify configuration...');
+
+    if (!shopifyConfig.storeDomain) {
+      throw new Error('SHOPIFY_STORE_DOMAIN is not set in .env');
+    }
+
+    if (!shopifyConfig.accessToken) {
+      throw new Error('SHOPIFY_ACCESS_TOKEN is not set in .env');
+    }
+
+    if (!process.env.APP_BASE_URL) {
+      throw new Error('APP_BASE_URL is not set in .env');
+    }
+
+    if (!shopifyConfig.apiSecret) {
+      console.log('⚠️  SHOPIFY_API_SECRET is not set - webhooks will be rejected until it is');
+    }
+
+    console.log(`✅ Store: ${shopifyConfig.storeDomain}`);
+    console.log(`✅ App URL: ${shopifyConfig.appBaseUrl}`);
+
+    // Normalize URL: remove trailing slash if present
+    const baseUrl = shopifyConfig.appBaseUrl.replace(/\/+$/, '');
+
+    console.log('\n📋 Checking existing webhook subscriptions...');
+    const existing = await getWebhookSubscriptions();
+    console.log(`Found ${existing.length} existing subscription(s)`);
+
+    let created = 0;
+    let updated = 0;
+
+    for (const topic of WEBHOOK_TOPICS) {
+      const address = `${baseUrl}/webhooks/${topic}`;
+      const subscription = existing.find(webhook => webhook.topic === topic);
+
+      if (subscription && subscription.address === address) {
+        console.log(`   ⏭️  ${topic} already registered`);
+        continue;
+      }
+
+      if (subscription) {
+        await updateWebhookSubscription(subscription.id, address);
+        console.log(`   🔄 ${topic}: ${subscription.address} → ${address}`);
+        updated++;
+      } else {
+        const webhook = await registerWebhookSubscription(topic, address);
+        console.log(`   ✅ ${topic} → ${address} (ID: ${webhook.id})`);
+        created++;
+      }
+    }
+
+    console.log(`\n🎉 Webhooks ready: ${created} created, ${updated} updated, ${WEBHOOK_TOPICS.length - created - updated} unchanged`);
+
+  } catch (error) {
+    console.error('\n❌ Error registering webhooks:', error.message);
+    if (error.response?.data) {
+      console.error('   Details:', JSON.stringify(error.response.data, null, 2));
+    }
+    process.exit(1);
+  }
+}
+
+main();
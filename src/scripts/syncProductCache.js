@@ -0,0 +1,133 @@
+/**
+ * Bulk-sync product data (tags, product type, vendor, optionally metafields and collections)
+ * from Shopify into the persistent product cache, so carrier callbacks on a
+ * cold start find every product without calling the Admin API
+ *
+ * Run after the first deploy, and periodically if webhooks may have been missed.
+ * Webhooks (products/update, products/delete) keep the cache current in between.
+ *
+ * Usage:
+ *   node src/scripts/syncProductCache.js [options]
+ *
+ * Or with npm:
+ *   npm run sync-products -- [options]
+ *
+ * Options:
+ *   --metafields    Also cache metafields (needed by metafield product restrictions)
+ *   --collections   Also cache collection handles (needed by collection shipping rules)
+ *   --prune         Delete cached products that no longer exist in Shopify
+ */
+
+require('dotenv').config();
+const { query, pool } = require('../db/config');
+const { shopifyConfig } = require('../config/shopify');
+const shopifyAdmin = require('../services/shopifyAdminClient');
+const { createProductCacheStore } = require('../services/productCacheStore');
+const { METAFIELDS_PER_PRODUCT, COLLECTIONS_PER_PRODUCT, getBatchSize } = require('../services/productDataService');
+
+const PRUNE_BATCH_SIZE = 250;
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Fetch one page of products with a GraphQL `products` connection query
+ */
+async function fetchProductsPage(after, include) {
+  const productsQuery = `
+    query SyncProducts($first: Int!, $after: String) {
+      products(first: $first, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          legacyResourceId
+          tags
+          productType
+          vendor
+          ${include.metafields ? `metafields(first: ${METAFIELDS_PER_PRODUCT}) { nodes { namespace key value } }` : ''}
+          ${include.collections ? `collections(first: ${COLLECTIONS_PER_PRODUCT}) { nodes { handle } }` : ''}
+        }
+      }
+    }
+  `;
+
+  // Large pages are expensive - the client waits for the query-cost bucket to refill between pages
+  const data = await shopifyAdmin.graphql(
+    productsQuery,
+    { first: getBatchSize({ ...include, connection: true }), after },
+    { timeoutMs: REQUEST_TIMEOUT_MS }
+  );
+  return data.products;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const include = { metafields: args.includes('--metafields'), collections: args.includes('--collections') };
+  const prune = args.includes('--prune');
+
+  try {
+    if (!shopifyConfig.storeDomain || !shopifyConfig.accessToken) {
+      throw new Error('SHOPIFY_STORE_DOMAIN and SHOPIFY_ACCESS_TOKEN must be set in .env');
+    }
+
+    const store = createProductCacheStore();
+    if (store.name === 'memory') {
+      throw new Error('PRODUCT_CACHE_STORE is "memory" - nothing to sync into (use mysql)');
+    }
+
+    console.log(`🔄 Syncing products from ${shopifyConfig.storeDomain} into the ${store.name} product cache`);
+    console.log(`   Metafields: ${include.metafields ? 'yes' : 'no'}`);
+    console.log(`   Collections: ${include.collections ? 'yes' : 'no'}\n`);
+
+    const syncedIds = new Set();
+    let after = null;
+    let page = 0;
+
+    do {
+      const products = await fetchProductsPage(after, include);
+      page++;
+
+      const entries = new Map();
+      for (const node of products.nodes) {
+        let metafields = null;
+        if (include.metafields) {
+          metafields = {};
+          for (const metafield of node.metafields?.nodes || []) {
+            metafields[`${metafield.namespace}.${metafield.key}`] = String(metafield.value ?? '');
+          }
+        }
+        entries.set(String(node.legacyResourceId), {
+          tags: node.tags || [],
+          productType: node.productType || null,
+          vendor: node.vendor || null,
+          metafields,
+          collections: include.collections ? (node.collections?.nodes || []).map(collection => collection.handle) : null
+        });
+      }
+
+      await store.setMany(entries);
+      for (const id of entries.keys()) syncedIds.add(id);
+      console.log(`   Page ${page}: ${entries.size} products (${syncedIds.size} total)`);
+
+      after = products.pageInfo.hasNextPage ? products.pageInfo.endCursor : null;
+    } while (after);
+
+    if (prune) {
+      const cached = await query('SELECT product_id FROM product_cache');
+      const stale = cached.map(row => String(row.product_id)).filter(id => !syncedIds.has(id));
+      for (let i = 0; i < stale.length; i += PRUNE_BATCH_SIZE) {
+        await store.deleteMany(stale.slice(i, i + PRUNE_BATCH_SIZE));
+      }
+      console.log(`\n   🗑️  Pruned ${stale.length} product(s) no longer in Shopify`);
+    }
+
+    console.log(`\n✅ Synced ${syncedIds.size} products`);
+  } catch (error) {
+    console.error('\n❌ Product sync failed:', error.message);
+    if (error.response?.data) {
+      console.error('   Details:', JSON.stringify(error.response.data, null, 2));
+    }
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -9,12 +9,20 @@ const cors = require('cors');
 const { testConnection } = require('./db/config');
 const { loadZonesCache, getCacheStatus } = require('./services/zoneService');
 const { validateEnvironment } = require('./utils/envValidator');
-const { authenticateApiKey, createRateLimiter, validateInput } = require('./middleware/security');
+const { authenticateApiKey, createRateLimiter, validateInput, verifyShopifyWebhook } = require('./middleware/security');
 
 // Import routes
 const { handleCarrierRates } = require('./routes/rates');
 const warehousesRoutes = require('./routes/warehouses');
+const rateTablesRoutes = require('./routes/rateTables');
+const weightBandsRoutes = require('./routes/weightBands');
+const holidaysRoutes = require('./routes/holidays');
+const shippingRulesRoutes = require('./routes/shippingRules');
+const productRestrictionsRoutes = require('./routes/productRestrictions');
 const inquiriesRoutes = require('./routes/inquiries');
+const webhooksRoutes = require('./routes/webhooks');
+const jobsRoutes = require('./routes/jobs');
+const metricsRoutes = require('./routes/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -58,7 +66,15 @@ const corsOptions = {
 
 // Middleware
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes Shopify sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Security middleware
@@ -118,7 +134,14 @@ app.get('/', (req, res) => {
       health: '/health',
       carrierRates: '/carrier/rates',
       warehouses: '/warehouses',
-      inquiries: '/inquiries'
+      weightBands: '/weight-bands',
+      holidays: '/holidays',
+      shippingRules: '/shipping-rules',
+      productRestrictions: '/product-restrictions',
+      inquiries: '/inquiries',
+      webhooks: '/webhooks',
+      jobs: '/jobs',
+      metrics: '/metrics'
     },
     documentation: 'See README.md for API documentation'
   });
@@ -135,11 +158,58 @@ app.put('/warehouses/:id', warehousesRoutes.updateWarehouse);
 app.delete('/warehouses/:id', warehousesRoutes.deleteWarehouse);
 app.get('/warehouses/:id/zones', warehousesRoutes.getZones);
 app.post('/warehouses/:id/zones', warehousesRoutes.addZone);
+app.post('/warehouses/:id/zones/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), warehousesRoutes.importZones);
+app.get('/warehouses/:id/zones/export', warehousesRoutes.exportZones);
+app.get('/zones/overlaps', warehousesRoutes.getZoneOverlapsRoute);
+app.put('/warehouses/:id/zones/:zoneId', warehousesRoutes.updateZone);
 app.delete('/warehouses/:id/zones/:zoneId', warehousesRoutes.deleteZone);
+app.get('/warehouses/:id/rates', rateTablesRoutes.getRates);
+app.post('/warehouses/:id/rates', rateTablesRoutes.createRate);
+app.put('/warehouses/:id/rates/:rateId', rateTablesRoutes.updateRate);
+app.delete('/warehouses/:id/rates/:rateId', rateTablesRoutes.deleteRate);
+app.get('/warehouses/:id/distance-brackets', rateTablesRoutes.getDistanceBrackets);
+app.post('/warehouses/:id/distance-brackets', rateTablesRoutes.createDistanceBracket);
+app.delete('/warehouses/:id/distance-brackets/:bracketId', rateTablesRoutes.deleteDistanceBracket);
+app.get('/warehouses/:id/service-levels', rateTablesRoutes.getServiceLevels);
+app.post('/warehouses/:id/service-levels', rateTablesRoutes.createServiceLevel);
+app.put('/warehouses/:id/service-levels/:levelId', rateTablesRoutes.updateServiceLevel);
+app.delete('/warehouses/:id/service-levels/:levelId', rateTablesRoutes.deleteServiceLevel);
+app.get('/weight-bands', weightBandsRoutes.getWeightBands);
+app.post('/weight-bands', weightBandsRoutes.createWeightBand);
+app.put('/weight-bands/:id', weightBandsRoutes.updateWeightBand);
+app.delete('/weight-bands/:id', weightBandsRoutes.deleteWeightBand);
+app.get('/holidays', holidaysRoutes.getHolidays);
+app.post('/holidays', holidaysRoutes.createHolidays);
+app.delete('/holidays/:id', holidaysRoutes.deleteHoliday);
+app.get('/shipping-rules', shippingRulesRoutes.getShippingRules);
+app.post('/shipping-rules', shippingRulesRoutes.createShippingRule);
+app.put('/shipping-rules/:id', shippingRulesRoutes.updateShippingRule);
+app.delete('/shipping-rules/:id', shippingRulesRoutes.deleteShippingRule);
+app.get('/product-restrictions', productRestrictionsRoutes.getProductRestrictions);
+app.post('/product-restrictions', productRestrictionsRoutes.createProductRestriction);
+app.put('/product-restrictions/:id', productRestrictionsRoutes.updateProductRestriction);
+app.delete('/product-restrictions/:id', productRestrictionsRoutes.deleteProductRestriction);
 
 // Inquiry endpoints
 app.get('/inquiries', inquiriesRoutes.getInquiriesRoute);
+app.get('/inquiries/export', inquiriesRoutes.exportInquiriesRoute); // before /inquiries/:id
+app.get('/inquiries/:id', inquiriesRoutes.getInquiryRoute);
+app.put('/inquiries/:id', inquiriesRoutes.updateInquiryRoute);
 app.put('/inquiries/:id/status', inquiriesRoutes.updateInquiryStatusRoute);
+app.get('/inquiries/:id/history', inquiriesRoutes.getInquiryHistoryRoute);
+app.post('/inquiries/:id/quote', inquiriesRoutes.quoteInquiryRoute);
+app.post('/inquiries/:id/draft-order', inquiriesRoutes.createInquiryDraftOrderRoute);
+
+// Background job endpoints
+app.get('/jobs', jobsRoutes.getJobsRoute);
+app.get('/jobs/:id', jobsRoutes.getJobRoute);
+app.post('/jobs/:id/retry', jobsRoutes.retryJobRoute);
+
+// Carrier callback metrics (latency, degraded responses)
+app.get('/metrics', metricsRoutes.getMetricsRoute);
+
+// Shopify webhook endpoint (HMAC-verified), e.g. /webhooks/orders/create
+app.post('/webhooks/:topic(*)', verifyShopifyWebhook, webhooksRoutes.handleWebhook);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
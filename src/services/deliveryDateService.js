@@ -0,0 +1,123 @@
+/**
+ * Delivery date service
+ * Estimates min/max delivery dates for carrier rates from lead times,
+ * the warehouse dispatch cut-off and per-state public holidays
+ * Uses in-memory cache for the holiday calendar
+ */
+
+const { query } = require('../db/config');
+const {
+  normalizeState,
+  getStateTimezone,
+  estimateDeliveryWindow,
+  formatShopifyDate
+} = require('../utils/deliveryDate');
+
+// Holidays stored with state 'ALL' apply to every state
+const NATIONAL = 'ALL';
+
+// In-memory cache: Map of state -> Set of 'YYYY-MM-DD' (national holidays merged in)
+let holidaysCache = null;
+let holidaysCacheTimestamp = null;
+let holidaysRefresh = null; // In-flight background refresh
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Load upcoming public holidays into memory cache
+ * Handles database errors gracefully
+ */
+async function loadHolidaysCache() {
+  try {
+    const holidays = await query(`
+      SELECT state, DATE_FORMAT(holiday_date, '%Y-%m-%d') as holiday_date
+      FROM public_holidays
+      WHERE holiday_date >= CURDATE() - INTERVAL 7 DAY
+    `);
+
+    const byState = new Map([[NATIONAL, new Set()]]);
+    for (const holiday of holidays) {
+      if (!byState.has(holiday.state)) byState.set(holiday.state, new Set());
+      byState.get(holiday.state).add(holiday.holiday_date);
+    }
+    const national = byState.get(NATIONAL);
+    for (const [state, dates] of byState) {
+      if (state !== NATIONAL) national.forEach(date => dates.add(date));
+    }
+
+    holidaysCache = byState;
+    holidaysCacheTimestamp = Date.now();
+    console.log(`Loaded ${holidays.length} public holidays into cache`);
+    return holidays;
+  } catch (error) {
+    console.error('Error loading holidays cache:', error.message);
+    // Don't throw - keep the last-known holidays (dates are estimated from weekends only if none were loaded)
+    if (!holidaysCache) holidaysCache = new Map([[NATIONAL, new Set()]]);
+    holidaysCacheTimestamp = Date.now();
+    return [];
+  }
+}
+
+/**
+ * Refresh holidays cache if expired
+ * Holidays change rarely, so an expired cache is used while it reloads in the background
+ */
+async function ensureHolidaysFresh() {
+  if (holidaysCache && holidaysCacheTimestamp && (Date.now() - holidaysCacheTimestamp <= CACHE_TTL)) {
+    return;
+  }
+  if (!holidaysRefresh) {
+    holidaysRefresh = loadHolidaysCache().finally(() => { holidaysRefresh = null; });
+  }
+  if (!holidaysCache) {
+    await holidaysRefresh;
+  }
+}
+
+/**
+ * Holiday dates observed in a state (national holidays when the state is unknown)
+ */
+function getHolidays(state) {
+  if (!holidaysCache) return null;
+  return holidaysCache.get(normalizeState(state)) || holidaysCache.get(NATIONAL);
+}
+
+/**
+ * Estimate Shopify delivery date fields for a rate
+ * Returns {} when the rate has no lead time configured
+ * @param {Object} options - { warehouseState, dispatchCutoff, destinationState, minDays, maxDays, now }
+ * @returns {Promise<Object>} - { min_delivery_date, max_delivery_date } or {}
+ */
+async function getDeliveryDates({ warehouseState, dispatchCutoff, destinationState, minDays, maxDays, now = new Date() }) {
+  if (minDays === null || minDays === undefined) {
+    return {};
+  }
+
+  try {
+    await ensureHolidaysFresh();
+  } catch (error) {
+    console.warn('⚠️  Error ensuring holidays cache fresh:', error.message);
+  }
+
+  const timeZone = getStateTimezone(warehouseState);
+  const window = estimateDeliveryWindow({
+    now,
+    timeZone,
+    cutoff: dispatchCutoff,
+    minDays,
+    maxDays: maxDays ?? minDays,
+    dispatchHolidays: getHolidays(warehouseState),
+    deliveryHolidays: getHolidays(destinationState || warehouseState)
+  });
+
+  return {
+    min_delivery_date: formatShopifyDate(window.minDate, timeZone),
+    max_delivery_date: formatShopifyDate(window.maxDate, timeZone)
+  };
+}
+
+module.exports = {
+  NATIONAL,
+  loadHolidaysCache,
+  ensureHolidaysFresh,
+  getDeliveryDates
+};
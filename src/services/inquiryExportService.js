@@ -0,0 +1,118 @@
+/**
+ * Inquiry export service
+ * Pages through inquiry search results in batches and flattens each inquiry
+ * into a spreadsheet row (line items, Shopify admin links and
+ * status history), so exports of any size never hold every row in memory
+ */
+
+const { query } = require('../db/config');
+const { searchInquiries } = require('./inquiryService');
+const { parseProductDetails } = require('../utils/productDetails');
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Header -> value for one inquiry row
+const EXPORT_COLUMNS = [
+  ['id', inquiry => inquiry.id],
+  ['created_at', inquiry => formatDateTime(inquiry.created_at)],
+  ['status', inquiry => inquiry.status],
+  ['assigned_to', inquiry => inquiry.assigned_to],
+  ['customer_name', inquiry => inquiry.customer_name],
+  ['email', inquiry => inquiry.email],
+  ['phone', inquiry => inquiry.phone],
+  ['address', inquiry => inquiry.address],
+  ['postcode', inquiry => inquiry.postcode],
+  ['distance_km', inquiry => (inquiry.distance_km === undefined || inquiry.distance_km === null ? null : Number(inquiry.distance_km))],
+  ['inquiry_reason', inquiry => inquiry.inquiry_reason],
+  ['items', inquiry => inquiry.items.map(item => `${item.quantity}x ${item.title}${item.sku ? ` (${item.sku})` : ''}`).join('; ')],
+  ['item_quantity', inquiry => inquiry.items.reduce((sum, item) => sum + item.quantity, 0)],
+  ['items_value', inquiry => formatDollars(inquiry.items.reduce((sum, item) => sum + item.quantity * item.priceCents, 0))],
+  ['product_details', inquiry => inquiry.product_details],
+  ['quoted', inquiry => (inquiry.quoted_cents === null || inquiry.quoted_cents === undefined ? null : formatDollars(inquiry.quoted_cents))],
+  ['quoted_at', inquiry => formatDateTime(inquiry.quoted_at)],
+  ['draft_order_id', inquiry => inquiry.draft_order_id],
+  ['draft_order_status', inquiry => inquiry.draft_order_status],
+  ['draft_order_admin_url', inquiry => inquiry.draft_order_admin_url],
+  ['shop_order_id', inquiry => inquiry.shop_order_id],
+  ['shop_order_name', inquiry => inquiry.shop_order_name],
+  ['order_admin_url', inquiry => inquiry.order_admin_url],
+  ['status_history', inquiry => inquiry.statusHistory
+    .map(entry => `${formatDateTime(entry.created_at)} ${entry.new_value} (${entry.changed_by})`)
+    .join(' → ')],
+  ['internal_notes', inquiry => inquiry.internal_notes]
+];
+
+const EXPORT_HEADERS = EXPORT_COLUMNS.map(([header]) => header);
+
+function formatDateTime(value) {
+  if (!value) return null;
+  return new Date(value).toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, 'Z');
+}
+
+function formatDollars(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+/**
+ * Status changes for a batch of inquiries, oldest first
+ * @returns {Promise<Map>} - inquiry ID -> [{ new_value, changed_by, created_at }]
+ */
+async function getStatusHistories(inquiryIds) {
+  const histories = new Map(inquiryIds.map(id => [id, []]));
+  if (inquiryIds.length === 0) return histories;
+
+  const rows = await query(`
+    SELECT inquiry_id, new_value, changed_by, created_at
+    FROM inquiry_history
+    WHERE field = 'status' AND inquiry_id IN (${inquiryIds.map(() => '?').join(', ')})
+    ORDER BY created_at, id
+  `, inquiryIds);
+  for (const row of rows) {
+    histories.get(row.inquiry_id).push(row);
+  }
+  return histories;
+}
+
+/**
+ * Yield export rows (arrays in EXPORT_HEADERS order) batch by batch
+ * @param {Object} filters - Same filters as GET /inquiries (see buildInquiryFilters)
+ * @param {Object} options - { sort, order }
+ * @returns {AsyncGenerator<Array>} - One array of rows per batch
+ */
+async function* exportInquiryRows(filters, { sort = 'created_at', order = 'desc' } = {}) {
+  let cursor = null;
+
+  do {
+    const page = await searchInquiries(filters, {
+      sort,
+      order,
+      limit: EXPORT_BATCH_SIZE,
+      cursor,
+      includeTotal: false,
+      rawCursor: true
+    });
+    const histories = await getStatusHistories(page.inquiries.map(inquiry => inquiry.id));
+
+    yield page.inquiries.map(inquiry => {
+      const row = {
+        ...inquiry,
+        // Inquiries from before inquiry_items (and not yet migrated) only have the text
+        items: inquiry.items.length > 0
+          ? inquiry.items.map(item => ({ title: item.title, sku: item.sku, quantity: item.quantity, priceCents: item.price_cents }))
+          : parseProductDetails(inquiry.product_details),
+        statusHistory: histories.get(inquiry.id) || []
+      };
+      return EXPORT_COLUMNS.map(([, getValue]) => {
+        const value = getValue(row);
+        return value === undefined ? null : value;
+      });
+    });
+
+    cursor = page.next_cursor;
+  } while (cursor);
+}
+
+module.exports = {
+  EXPORT_HEADERS,
+  exportInquiryRows
+};
@@ -4,26 +4,199 @@
  */
 
 const { query } = require('../db/config');
+const { getStoreAdminUrl } = require('../config/shopify');
+
+const INQUIRY_STATUSES = ['new', 'reviewed', 'quoted', 'awaiting_customer', 'won', 'lost', 'undeliverable', 'closed'];
+
+// Statuses only move forward when set automatically from Shopify events; an order always wins
+const STATUS_RANK = {
+  new: 0,
+  reviewed: 1,
+  quoted: 2,
+  awaiting_customer: 3,
+  lost: 4,
+  undeliverable: 4,
+  closed: 4,
+  won: 5
+};
+
+// Draft order status -> inquiry status it implies
+const DRAFT_STATUS_TO_INQUIRY_STATUS = {
+  invoice_sent: 'quoted',
+  completed: 'won'
+};
+
+// Fields staff can change through the API (every change is recorded in inquiry_history)
+const EDITABLE_FIELDS = ['status', 'assigned_to', 'internal_notes'];
+
+// changed_by for automatic changes
+const SHOPIFY_ACTOR = 'shopify';
+const SYSTEM_ACTOR = 'system';
+
+// How far back orders/create looks for an unlinked inquiry from the same customer
+const ORDER_MATCH_DAYS = 30;
+
+/**
+ * Add Shopify admin links for the linked draft order and order
+ */
+function withOrderLinks(inquiry) {
+  return {
+    ...inquiry,
+    draft_order_admin_url: inquiry.draft_order_id ? getStoreAdminUrl(`draft_orders/${inquiry.draft_order_id}`) : null,
+    order_admin_url: inquiry.shop_order_id ? getStoreAdminUrl(`orders/${inquiry.shop_order_id}`) : null
+  };
+}
+
+/**
+ * The status an inquiry should move to, or its current status when that would move it backwards
+ */
+function advanceStatus(currentStatus, targetStatus) {
+  if (!targetStatus) return currentStatus;
+  return (STATUS_RANK[targetStatus] ?? 0) > (STATUS_RANK[currentStatus] ?? 0) ? targetStatus : currentStatus;
+}
+
+/**
+ * Normalize carrier payload line items into inquiry_items columns
+ */
+function toInquiryItemRows(items) {
+  return (items || []).map(item => ({
+    product_id: item.product_id || null,
+    variant_id: item.variant_id || null,
+    sku: item.sku || null,
+    title: String(item.name || item.title || 'Product').slice(0, 255),
+    vendor: item.vendor || null,
+    quantity: parseInt(item.quantity) || 1,
+    price_cents: Math.round(Number(item.price) || 0),
+    grams: Math.round(Number(item.grams) || 0),
+    requires_shipping: item.requires_shipping === false ? 0 : 1
+  }));
+}
+
+/**
+ * Replace an inquiry's line items
+ * @param {number} inquiryId - Inquiry ID
+ * @param {Array} items - Carrier payload line items (or parsed items with the same fields)
+ * @param {string} source - 'carrier' or 'parsed'
+ */
+async function replaceInquiryItems(inquiryId, items, source = 'carrier') {
+  const rows = toInquiryItemRows(items);
+
+  await query('DELETE FROM inquiry_items WHERE inquiry_id = ?', [inquiryId]);
+  if (rows.length === 0) return;
+
+  await query(`
+    INSERT INTO inquiry_items (
+      inquiry_id, product_id, variant_id, sku, title, vendor, quantity, price_cents, grams, requires_shipping, source
+    ) VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+  `, rows.flatMap(row => [
+    inquiryId, row.product_id, row.variant_id, row.sku, row.title, row.vendor,
+    row.quantity, row.price_cents, row.grams, row.requires_shipping, source
+  ]));
+}
+
+/**
+ * Line items for several inquiries
+ * @returns {Promise<Map>} - inquiry ID -> [item]
+ */
+async function getInquiryItemsMap(inquiryIds) {
+  const itemsByInquiry = new Map(inquiryIds.map(id => [id, []]));
+  if (inquiryIds.length === 0) return itemsByInquiry;
+
+  const rows = await query(`
+    SELECT id, inquiry_id, product_id, variant_id, sku, title, vendor, quantity, price_cents, grams, requires_shipping, source
+    FROM inquiry_items
+    WHERE inquiry_id IN (${inquiryIds.map(() => '?').join(', ')})
+    ORDER BY id
+  `, inquiryIds);
+  for (const { inquiry_id, ...item } of rows) {
+    itemsByInquiry.get(inquiry_id).push({ ...item, requires_shipping: Boolean(item.requires_shipping) });
+  }
+  return itemsByInquiry;
+}
+
+/**
+ * Convert stored inquiry items back to carrier payload line items (for createDraftOrder)
+ */
+function toDraftOrderItems(items) {
+  return items.map(item => ({
+    name: item.title,
+    product_id: item.product_id,
+    variant_id: item.variant_id,
+    sku: item.sku,
+    quantity: item.quantity,
+    price: item.price_cents,
+    grams: item.grams,
+    requires_shipping: item.requires_shipping
+  }));
+}
+
+/**
+ * Append changes to an inquiry's history; unchanged values are skipped
+ * @param {number} inquiryId - Inquiry ID
+ * @param {Array} changes - [{ field, oldValue, newValue }]
+ * @param {Object} options - { changedBy, reason }
+ */
+async function recordInquiryHistory(inquiryId, changes, { changedBy = SYSTEM_ACTOR, reason = null } = {}) {
+  const toText = value => (value === undefined || value === null ? null : String(value));
+  const rows = changes
+    .filter(change => toText(change.oldValue) !== toText(change.newValue))
+    .map(change => [inquiryId, change.field, toText(change.oldValue), toText(change.newValue), reason || null, changedBy]);
+  if (rows.length === 0) return;
+
+  await query(`
+    INSERT INTO inquiry_history (inquiry_id, field, old_value, new_value, reason, changed_by)
+    VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+  `, rows.flat());
+}
+
+/**
+ * Get an inquiry's change history, oldest first
+ */
+async function getInquiryHistory(inquiryId) {
+  try {
+    return await query(`
+      SELECT id, field, old_value, new_value, reason, changed_by, created_at
+      FROM inquiry_history
+      WHERE inquiry_id = ?
+      ORDER BY created_at, id
+    `, [inquiryId]);
+  } catch (error) {
+    console.error('Error fetching inquiry history:', error);
+    throw error;
+  }
+}
 
 /**
- * Find recent inquiry by email within time window
+ * Find the recent open inquiry from the same customer or checkout
+ * Matches by email when known, otherwise (or also) by checkout session hash,
+ * so guests who change their address update one inquiry instead of creating more
  * @param {string} email - Customer email
+ * @param {string} sessionHash - Checkout fingerprint (see getCheckoutSessionHash)
  * @param {number} minutesAgo - Time window in minutes (default 60)
  * @returns {Promise<Object|null>} - Existing inquiry or null
  */
 async function findRecentInquiry(email, sessionHash, minutesAgo = 60) {
-  if (!email) return null; // Need at least email to find duplicates
+  const matches = [];
+  const params = [];
+  if (email) {
+    matches.push('email = ?');
+    params.push(email);
+  }
+  if (sessionHash) {
+    matches.push('session_hash = ?');
+    params.push(sessionHash);
+  }
+  if (matches.length === 0) return null; // Nothing to identify the customer by
 
   try {
-    // Use email-based lookup (works without session_hash column)
     const results = await query(`
       SELECT * FROM inquiries 
-      WHERE email = ?
+      WHERE (${matches.join(' OR ')})
       AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
       AND status = 'new'
       ORDER BY created_at DESC
       LIMIT 1
-    `, [email, minutesAgo]);
+    `, [...params, minutesAgo]);
 
     return results.length > 0 ? results[0] : null;
   } catch (error) {
@@ -40,17 +213,36 @@ async function findRecentInquiry(email, sessionHash, minutesAgo = 60) {
  */
 async function updateInquiry(inquiryId, updateData) {
   try {
-    const { address, postcode, draft_order_id, product_details } = updateData;
+    const {
+      address, postcode, draft_order_id, product_details, inquiry_reason, items, email, session_hash
+    } = updateData;
 
-    // Use basic UPDATE without updated_at (backward compatible)
+    // Email fills in once a guest enters it; the session hash follows cart changes
     await query(`
       UPDATE inquiries 
       SET address = COALESCE(?, address),
           postcode = COALESCE(?, postcode),
           draft_order_id = COALESCE(?, draft_order_id),
-          product_details = COALESCE(?, product_details)
+          product_details = COALESCE(?, product_details),
+          inquiry_reason = COALESCE(?, inquiry_reason),
+          email = COALESCE(email, ?),
+          session_hash = COALESCE(?, session_hash)
       WHERE id = ?
-    `, [address, postcode, draft_order_id, product_details, inquiryId]);
+    `, [
+      address ?? null,
+      postcode ?? null,
+      draft_order_id ?? null,
+      product_details ?? null,
+      inquiry_reason ?? null,
+      email ?? null,
+      session_hash ?? null,
+      inquiryId
+    ]);
+
+    // The cart may have changed since the inquiry was created
+    if (Array.isArray(items)) {
+      await replaceInquiryItems(inquiryId, items);
+    }
 
     const results = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
     return results[0];
@@ -76,10 +268,12 @@ async function createInquiry(inquiryData) {
       address,
       postcode,
       product_details,
+      inquiry_reason,
+      session_hash,
+      items,
       status = 'new'
     } = inquiryData;
 
-    // Note: session_hash column is optional - works without it for backward compatibility
     const result = await query(`
       INSERT INTO inquiries (
         shop_order_id,
@@ -90,8 +284,10 @@ async function createInquiry(inquiryData) {
         address,
         postcode,
         product_details,
+        inquiry_reason,
+        session_hash,
         status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       shop_order_id || null,
       draft_order_id || null,
@@ -101,9 +297,19 @@ async function createInquiry(inquiryData) {
       address || null,
       postcode || null,
       product_details || null,
+      inquiry_reason || null,
+      session_hash || null,
       status
     ]);
 
+    if (Array.isArray(items)) {
+      await replaceInquiryItems(result.insertId, items);
+    }
+
+    await recordInquiryHistory(result.insertId, [{ field: 'status', oldValue: null, newValue: status }], {
+      reason: inquiry_reason
+    });
+
     // Fetch the created inquiry
     const inquiry = await query(`
       SELECT * FROM inquiries WHERE id = ?
@@ -116,61 +322,457 @@ async function createInquiry(inquiryData) {
   }
 }
 
+// Sortable columns -> SQL expression (NULLs folded so keyset comparisons work)
+const INQUIRY_SORTS = {
+  created_at: 'i.created_at',
+  postcode: "COALESCE(i.postcode, '')",
+  status: 'CAST(i.status AS CHAR)',
+  distance_km: 'COALESCE(d.distance_km, 999999)' // requires warehouseId; unknown distances last
+};
+
+/**
+ * Escape LIKE wildcards in user input
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Build the FROM/WHERE clauses shared by inquiry search and export
+ * @param {Object} filters - {
+ *   statuses: [string], postcode, postcodePrefix, createdFrom: Date, createdBefore: Date,
+ *   search, assignedTo, warehouseId, maxDistanceKm
+ * }
+ * @returns {Object} - { fromSql, whereSql, params }
+ */
+function buildInquiryFilters(filters = {}) {
+  let fromSql = 'inquiries i';
+  const where = [];
+  const params = [];
+
+  // Nearest suburb distance from the warehouse for the inquiry postcode
+  if (filters.warehouseId) {
+    fromSql += `
+      LEFT JOIN (
+        SELECT postcode, MIN(distance_km) AS distance_km
+        FROM postcode_distances
+        WHERE warehouse_id = ?
+        GROUP BY postcode
+      ) d ON d.postcode = i.postcode`;
+    params.push(filters.warehouseId);
+  }
+
+  if (filters.statuses && filters.statuses.length > 0) {
+    where.push(`i.status IN (${filters.statuses.map(() => '?').join(', ')})`);
+    params.push(...filters.statuses);
+  }
+
+  if (filters.postcode) {
+    where.push('i.postcode = ?');
+    params.push(filters.postcode);
+  }
+
+  if (filters.postcodePrefix) {
+    where.push('i.postcode LIKE ?');
+    params.push(`${escapeLike(filters.postcodePrefix)}%`);
+  }
+
+  if (filters.createdFrom) {
+    where.push('i.created_at >= ?');
+    params.push(filters.createdFrom);
+  }
+
+  if (filters.createdBefore) {
+    where.push('i.created_at < ?');
+    params.push(filters.createdBefore);
+  }
+
+  if (filters.search) {
+    const pattern = `%${escapeLike(filters.search)}%`;
+    where.push('(i.customer_name LIKE ? OR i.email LIKE ? OR i.phone LIKE ? OR i.address LIKE ?)');
+    params.push(pattern, pattern, pattern, pattern);
+  }
+
+  if (filters.assignedTo) {
+    where.push('i.assigned_to = ?');
+    params.push(filters.assignedTo);
+  }
+
+  if (filters.warehouseId && filters.maxDistanceKm !== undefined) {
+    where.push('d.distance_km <= ?');
+    params.push(filters.maxDistanceKm);
+  }
+
+  return {
+    fromSql,
+    whereSql: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Encode a pagination cursor for the row after which the next page starts
+ * Hex rather than base64 so cursors never trip the input validation patterns (e.g. '--')
+ */
+function encodeInquiryCursor(sort, order, sortValue, id) {
+  const value = sortValue instanceof Date ? sortValue.toISOString() : sortValue;
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('hex');
+}
+
+/**
+ * Decode a pagination cursor; returns null when it is malformed or was made for another sort
+ */
+function decodeInquiryCursor(cursor, sort, order) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'hex').toString('utf8'));
+    if (decoded.s !== sort || decoded.o !== order || !Number.isInteger(decoded.id)) return null;
+    const value = sort === 'created_at' ? new Date(decoded.v) : decoded.v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+    return { value, id: decoded.id };
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
- * Get all inquiries
- * @param {Object} filters - Filter options (status, postcode, etc.)
- * @returns {Promise<Array>} - List of inquiries
+ * Search inquiries with filters, sorting and cursor pagination
+ * @param {Object} filters - See buildInquiryFilters
+ * @param {Object} options - {
+ *   sort, order: 'asc'|'desc', limit, cursor: { value, id } (decoded),
+ *   includeTotal (default true), rawCursor (return the next cursor decoded, for internal paging)
+ * }
+ * @returns {Promise<Object>} - { inquiries, total, next_cursor }
  */
-async function getInquiries(filters = {}) {
+async function searchInquiries(filters = {}, {
+  sort = 'created_at',
+  order = 'desc',
+  limit = 50,
+  cursor = null,
+  includeTotal = true,
+  rawCursor = false
+} = {}) {
   try {
-    let sql = 'SELECT * FROM inquiries WHERE 1=1';
-    const params = [];
+    const sortExpr = INQUIRY_SORTS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const comparison = order === 'asc' ? '>' : '<';
+    const { fromSql, whereSql, params } = buildInquiryFilters(filters);
 
-    if (filters.status) {
-      sql += ' AND status = ?';
-      params.push(filters.status);
-    }
+    const countRows = includeTotal
+      ? await query(`SELECT COUNT(*) AS total FROM ${fromSql} ${whereSql}`, params)
+      : null;
 
-    if (filters.postcode) {
-      sql += ' AND postcode = ?';
-      params.push(filters.postcode);
+    const pageParams = [...params];
+    let pageWhere = whereSql;
+    if (cursor) {
+      const keyset = `(${sortExpr} ${comparison} ? OR (${sortExpr} = ? AND i.id ${comparison} ?))`;
+      pageWhere = whereSql ? `${whereSql} AND ${keyset}` : `WHERE ${keyset}`;
+      pageParams.push(cursor.value, cursor.value, cursor.id);
     }
 
-    sql += ' ORDER BY created_at DESC';
+    // Fetch one extra row to know whether there is a next page
+    const rows = await query(`
+      SELECT i.*${filters.warehouseId ? ', d.distance_km' : ''}, ${sortExpr} AS sort_value
+      FROM ${fromSql}
+      ${pageWhere}
+      ORDER BY ${sortExpr} ${direction}, i.id ${direction}
+      LIMIT ${Number(limit) + 1}
+    `, pageParams);
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
 
-    if (filters.limit) {
-      sql += ' LIMIT ?';
-      params.push(filters.limit);
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = rawCursor
+        ? { value: last.sort_value, id: last.id }
+        : encodeInquiryCursor(sort, order, last.sort_value, last.id);
     }
 
-    return await query(sql, params);
+    const itemsByInquiry = await getInquiryItemsMap(page.map(inquiry => inquiry.id));
+
+    return {
+      inquiries: page.map(({ sort_value, ...inquiry }) => ({
+        ...withOrderLinks(inquiry),
+        items: itemsByInquiry.get(inquiry.id) || []
+      })),
+      total: countRows ? Number(countRows[0].total) : null,
+      next_cursor: nextCursor
+    };
   } catch (error) {
     console.error('Error fetching inquiries:', error);
     throw error;
   }
 }
 
+/**
+ * Get one inquiry with its line items, Shopify links and change history
+ * @returns {Promise<Object|null>} - Inquiry, or null when not found
+ */
+async function getInquiryById(inquiryId) {
+  try {
+    const inquiries = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+    if (inquiries.length === 0) {
+      return null;
+    }
+
+    const itemsByInquiry = await getInquiryItemsMap([inquiryId]);
+
+    return {
+      ...withOrderLinks(inquiries[0]),
+      items: itemsByInquiry.get(inquiryId),
+      history: await getInquiryHistory(inquiryId)
+    };
+  } catch (error) {
+    console.error('Error fetching inquiry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update staff-editable inquiry fields (status, assigned_to, internal_notes)
+ * and record each change in the inquiry history
+ * @param {number} inquiryId - Inquiry ID
+ * @param {Object} fields - Any of status, assigned_to, internal_notes (null clears)
+ * @param {Object} options - { changedBy, reason }
+ * @returns {Promise<Object|null>} - Updated inquiry, or null when not found
+ */
+async function updateInquiryFields(inquiryId, fields, { changedBy, reason } = {}) {
+  try {
+    const inquiries = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+    if (inquiries.length === 0) {
+      return null;
+    }
+    const inquiry = inquiries[0];
+
+    const updates = [];
+    const params = [];
+    const changes = [];
+
+    for (const field of EDITABLE_FIELDS) {
+      if (fields[field] === undefined) continue;
+      const value = fields[field] === '' ? null : fields[field];
+      updates.push(`${field} = ?`);
+      params.push(value);
+      changes.push({ field, oldValue: inquiry[field], newValue: value });
+    }
+
+    if (updates.length > 0) {
+      params.push(inquiryId);
+      await query(`UPDATE inquiries SET ${updates.join(', ')} WHERE id = ?`, params);
+      await recordInquiryHistory(inquiryId, changes, { changedBy, reason });
+    }
+
+    const results = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+    return results[0];
+  } catch (error) {
+    console.error('Error updating inquiry:', error);
+    throw error;
+  }
+}
+
 /**
  * Update inquiry status
+ * @returns {Promise<Object|null>} - Updated inquiry, or null when not found
+ */
+async function updateInquiryStatus(inquiryId, status, options = {}) {
+  return updateInquiryFields(inquiryId, { status }, options);
+}
+
+/**
+ * Record a shipping quote sent to the customer
+ * @param {number} inquiryId - Inquiry ID
+ * @param {Object} quote - { quotedCents, message, changedBy }
+ * @returns {Promise<Object>} - Updated inquiry
  */
-async function updateInquiryStatus(inquiryId, status) {
+async function recordInquiryQuote(inquiryId, { quotedCents, message, changedBy }) {
   try {
+    const inquiries = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+    const inquiry = inquiries[0];
+    // Re-quoting never moves an inquiry back (e.g. from awaiting_customer)
+    const status = advanceStatus(inquiry.status, 'quoted');
+
     await query(`
-      UPDATE inquiries SET status = ? WHERE id = ?
-    `, [status, inquiryId]);
+      UPDATE inquiries
+      SET quoted_cents = ?,
+          quote_message = ?,
+          quoted_at = CURRENT_TIMESTAMP,
+          draft_order_status = 'invoice_sent',
+          status = ?
+      WHERE id = ?
+    `, [quotedCents, message || null, status, inquiryId]);
+
+    await recordInquiryHistory(inquiryId, [
+      { field: 'quoted_cents', oldValue: inquiry.quoted_cents, newValue: quotedCents },
+      { field: 'status', oldValue: inquiry.status, newValue: status }
+    ], { changedBy, reason: message || 'Shipping quote sent' });
 
-    return await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+    const results = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+    return results[0];
   } catch (error) {
-    console.error('Error updating inquiry status:', error);
+    console.error('Error recording inquiry quote:', error);
     throw error;
   }
 }
 
+/**
+ * Build createDraftOrder input from a stored inquiry and its items
+ * The stored address is a single line, so it becomes address1
+ */
+function buildDraftOrderData(inquiry, items) {
+  const [firstName, ...lastNames] = String(inquiry.customer_name || '').trim().split(/\s+/);
+  return {
+    customer: {
+      first_name: firstName || undefined,
+      last_name: lastNames.join(' ') || undefined,
+      email: inquiry.email || undefined,
+      phone: inquiry.phone || undefined
+    },
+    destination: {
+      address1: inquiry.address || '',
+      postal_code: inquiry.postcode,
+      phone: inquiry.phone || undefined
+    },
+    items: toDraftOrderItems(items),
+    reason: inquiry.inquiry_reason
+  };
+}
+
+/**
+ * Point an inquiry at a newly created draft order
+ * @returns {Promise<Object>} - Updated inquiry
+ */
+async function setInquiryDraftOrder(inquiryId, draftOrderId, { changedBy, reason } = {}) {
+  const inquiries = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+  const inquiry = inquiries[0];
+
+  await query(`
+    UPDATE inquiries SET draft_order_id = ?, draft_order_status = 'open' WHERE id = ?
+  `, [draftOrderId, inquiryId]);
+  await recordInquiryHistory(inquiryId, [
+    { field: 'draft_order_id', oldValue: inquiry.draft_order_id, newValue: draftOrderId }
+  ], { changedBy, reason });
+
+  const results = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+  return results[0];
+}
+
+/**
+ * Sync an inquiry with its Shopify draft order (draft_orders/update webhook)
+ * Records the draft status, links the order once the draft is completed and
+ * advances the inquiry status (invoice sent -> quoted, completed -> won)
+ * @param {Object} draftOrder - Draft order webhook payload
+ * @returns {Promise<Object|null>} - Updated inquiry, or null when no inquiry uses this draft
+ */
+async function syncInquiryFromDraftOrder(draftOrder) {
+  const inquiries = await query('SELECT * FROM inquiries WHERE draft_order_id = ?', [draftOrder.id]);
+  if (inquiries.length === 0) {
+    return null;
+  }
+
+  const inquiry = inquiries[0];
+  const status = advanceStatus(inquiry.status, DRAFT_STATUS_TO_INQUIRY_STATUS[draftOrder.status]);
+
+  const updates = ['draft_order_status = ?', 'status = ?'];
+  const params = [draftOrder.status || null, status];
+  const changes = [
+    { field: 'draft_order_status', oldValue: inquiry.draft_order_status, newValue: draftOrder.status },
+    { field: 'status', oldValue: inquiry.status, newValue: status }
+  ];
+
+  // Completed drafts carry the order they became
+  if (draftOrder.order_id && !inquiry.shop_order_id) {
+    updates.push('shop_order_id = ?', 'order_linked_at = CURRENT_TIMESTAMP');
+    params.push(draftOrder.order_id);
+    changes.push({ field: 'shop_order_id', oldValue: null, newValue: draftOrder.order_id });
+  }
+
+  params.push(inquiry.id);
+  await query(`UPDATE inquiries SET ${updates.join(', ')} WHERE id = ?`, params);
+  await recordInquiryHistory(inquiry.id, changes, {
+    changedBy: SHOPIFY_ACTOR,
+    reason: `Draft order ${draftOrder.name || draftOrder.id} ${draftOrder.status}`
+  });
+
+  const results = await query('SELECT * FROM inquiries WHERE id = ?', [inquiry.id]);
+  return results[0];
+}
+
+/**
+ * Link a new Shopify order to the inquiry it resolves (orders/create webhook)
+ * Matches an inquiry already linked to this order (via its draft), otherwise the
+ * customer's most recent unlinked inquiry not yet won that ships to the order's postcode
+ * Orders completed from a draft order are only linked through the draft - the
+ * draft_orders/update webhook carries the order ID - since the customer's other
+ * inquiries may have drafts of their own
+ * @param {Object} order - Order webhook payload
+ * @returns {Promise<Object|null>} - Linked inquiry, or null when none matched
+ */
+async function linkOrderToInquiry(order) {
+  let inquiry = (await query('SELECT * FROM inquiries WHERE shop_order_id = ?', [order.id]))[0];
+
+  if (!inquiry && order.source_name === 'shopify_draft_order') {
+    console.log(`⏭️  Order ${order.name || order.id} is from a draft order not linked to an inquiry (yet) - draft_orders/update links it`);
+    return null;
+  }
+
+  const email = order.email || order.customer?.email;
+  const postcode = order.shipping_address?.zip || null;
+  if (!inquiry && email && postcode) {
+    const candidates = await query(`
+      SELECT * FROM inquiries
+      WHERE email = ?
+      AND shop_order_id IS NULL
+      AND status NOT IN ('won', 'closed')
+      AND created_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+      ORDER BY created_at DESC
+    `, [email, ORDER_MATCH_DAYS]);
+    inquiry = candidates.find(candidate => candidate.postcode === postcode);
+  }
+
+  if (!inquiry) {
+    return null;
+  }
+
+  const status = advanceStatus(inquiry.status, 'won');
+  await query(`
+    UPDATE inquiries
+    SET shop_order_id = ?,
+        shop_order_name = ?,
+        order_linked_at = COALESCE(order_linked_at, CURRENT_TIMESTAMP),
+        status = ?
+    WHERE id = ?
+  `, [order.id, order.name || null, status, inquiry.id]);
+  await recordInquiryHistory(inquiry.id, [
+    { field: 'shop_order_id', oldValue: inquiry.shop_order_id, newValue: order.id },
+    { field: 'status', oldValue: inquiry.status, newValue: status }
+  ], { changedBy: SHOPIFY_ACTOR, reason: `Order ${order.name || order.id} created` });
+
+  const results = await query('SELECT * FROM inquiries WHERE id = ?', [inquiry.id]);
+  return results[0];
+}
+
 module.exports = {
+  INQUIRY_STATUSES,
+  INQUIRY_SORTS,
   createInquiry,
-  getInquiries,
+  searchInquiries,
+  buildInquiryFilters,
+  decodeInquiryCursor,
+  getInquiryById,
+  replaceInquiryItems,
+  getInquiryItemsMap,
+  toDraftOrderItems,
+  buildDraftOrderData,
+  setInquiryDraftOrder,
   updateInquiryStatus,
+  updateInquiryFields,
+  getInquiryHistory,
   findRecentInquiry,
-  updateInquiry
+  updateInquiry,
+  syncInquiryFromDraftOrder,
+  linkOrderToInquiry,
+  recordInquiryQuote,
+  withOrderLinks
 };
 
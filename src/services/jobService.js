@@ -0,0 +1,300 @@
+/**
+ * Job queue service
+ * MySQL-backed background jobs, so slow or failing Shopify calls don't hold up
+ * the carrier callback. Jobs are claimed atomically by a worker run, retried
+ * with exponential backoff and dead-lettered after max_attempts (or at once
+ * for errors that won't succeed on retry); dead jobs can be retried via /jobs
+ *
+ * Workers: npm run process-jobs (script) and /api/cron/process-jobs (Vercel cron)
+ */
+
+const crypto = require('crypto');
+const { query } = require('../db/config');
+const { createDraftOrder } = require('./shopifyService');
+const { getInquiryItemsMap, toDraftOrderItems, setInquiryDraftOrder } = require('./inquiryService');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// A 'running' job locked longer than this is assumed to be from a crashed worker
+const LOCK_TIMEOUT_SECONDS = 5 * 60;
+
+const CLAIM_BATCH_SIZE = 10;
+
+/**
+ * create_draft_order - create the Shopify draft order for an inquiry
+ * Payload: { inquiryId, customer, destination, reason } (carrier request shape);
+ * line items come from the inquiry's stored items so cart changes are picked up
+ *
+ * The new draft ID is saved on the job before the inquiry is linked, so a retry
+ * after a failed link reuses that draft instead of creating a duplicate
+ */
+async function handleCreateDraftOrder({ inquiryId, customer, destination, reason }, job) {
+  const inquiries = await query('SELECT * FROM inquiries WHERE id = ?', [inquiryId]);
+  const inquiry = inquiries[0];
+
+  if (!inquiry) {
+    return { skipped: 'Inquiry not found' };
+  }
+  if (inquiry.draft_order_id) {
+    return { skipped: 'Inquiry already has a draft order', draftOrderId: inquiry.draft_order_id };
+  }
+  if (inquiry.shop_order_id) {
+    return { skipped: 'Inquiry already has an order' };
+  }
+
+  // Created by an earlier attempt that failed before linking it
+  const createdDraftOrderId = parseJson(job?.result)?.draftOrderId;
+  if (createdDraftOrderId) {
+    await setInquiryDraftOrder(inquiry.id, createdDraftOrderId, { reason: 'Draft order created' });
+    console.log(`✅ Draft order ${createdDraftOrderId} linked to inquiry #${inquiry.id} (created by an earlier attempt)`);
+    return { draftOrderId: createdDraftOrderId };
+  }
+
+  const items = (await getInquiryItemsMap([inquiry.id])).get(inquiry.id);
+  const draftOrder = await createDraftOrder({
+    customer,
+    destination,
+    items: toDraftOrderItems(items),
+    reason: reason || inquiry.inquiry_reason
+  });
+
+  if (job) {
+    await query('UPDATE jobs SET result = ? WHERE id = ?', [JSON.stringify({ draftOrderId: draftOrder.id }), job.id]);
+  }
+  await setInquiryDraftOrder(inquiry.id, draftOrder.id, { reason: 'Draft order created' });
+  console.log(`✅ Draft order ${draftOrder.id} created for inquiry #${inquiry.id}`);
+  return { draftOrderId: draftOrder.id };
+}
+
+// Job type -> handler(payload, job). Handlers throw to fail the attempt; the return value is stored as result
+const JOB_HANDLERS = {
+  create_draft_order: handleCreateDraftOrder
+};
+
+const JOB_TYPES = Object.keys(JOB_HANDLERS);
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m ... capped at 1 hour
+ */
+function getBackoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+/**
+ * Client errors (bad data, missing permissions) fail the same way every time;
+ * rate limits, timeouts, network and server errors are worth retrying
+ */
+function isRetryable(error) {
+  if (error.retryable !== undefined) return error.retryable;
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function formatJob(job) {
+  return {
+    ...job,
+    payload: parseJson(job.payload),
+    result: parseJson(job.result)
+  };
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload - Handler input (stored as JSON)
+ * @param {Object} options - { inquiryId, maxAttempts }
+ * @returns {Promise<number>} - Job ID
+ */
+async function enqueueJob(type, payload, { inquiryId = null, maxAttempts = null } = {}) {
+  if (!JOB_HANDLERS[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const result = await query(`
+    INSERT INTO jobs (type, payload, inquiry_id, max_attempts)
+    VALUES (?, ?, ?, ?)
+  `, [type, JSON.stringify(payload || {}), inquiryId, maxAttempts || DEFAULT_MAX_ATTEMPTS]);
+  return result.insertId;
+}
+
+/**
+ * Replace the payload of an inquiry's jobs that haven't run yet
+ * (e.g. the customer changed their address before the draft order was created)
+ * @returns {Promise<number>} - Number of jobs updated
+ */
+async function updatePendingJobPayload(type, inquiryId, payload) {
+  const result = await query(`
+    UPDATE jobs SET payload = ? WHERE type = ? AND inquiry_id = ? AND status = 'pending'
+  `, [JSON.stringify(payload || {}), type, inquiryId]);
+  return result.affectedRows;
+}
+
+/**
+ * Atomically claim due jobs (and jobs abandoned by a crashed worker) for this worker run
+ * @returns {Promise<Array>} - Claimed jobs
+ */
+async function claimJobs(workerId, limit = CLAIM_BATCH_SIZE) {
+  await query(`
+    UPDATE jobs
+    SET status = 'running', locked_by = ?, locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+    WHERE (status = 'pending' AND run_at <= CURRENT_TIMESTAMP)
+       OR (status = 'running' AND locked_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND))
+    ORDER BY run_at, id
+    LIMIT ${parseInt(limit, 10)}
+  `, [workerId, LOCK_TIMEOUT_SECONDS]);
+
+  return query(`
+    SELECT * FROM jobs WHERE locked_by = ? AND status = 'running' ORDER BY run_at, id
+  `, [workerId]);
+}
+
+/**
+ * Run one claimed job and record the outcome
+ * @returns {Promise<string>} - 'completed', 'retry' or 'dead'
+ */
+async function runJob(job, workerId) {
+  const handler = JOB_HANDLERS[job.type];
+
+  try {
+    if (!handler) {
+      throw Object.assign(new Error(`Unknown job type: ${job.type}`), { retryable: false });
+    }
+
+    const result = await handler(parseJson(job.payload) || {}, job);
+    await query(`
+      UPDATE jobs
+      SET status = 'completed', result = ?, last_error = NULL, locked_by = NULL, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND locked_by = ?
+    `, [JSON.stringify(result ?? null), job.id, workerId]);
+    return 'completed';
+  } catch (error) {
+    const message = error.response?.data ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message;
+
+    if (!isRetryable(error) || job.attempts >= job.max_attempts) {
+      await query(`
+        UPDATE jobs SET status = 'dead', last_error = ?, locked_by = NULL WHERE id = ? AND locked_by = ?
+      `, [message, job.id, workerId]);
+      console.error(`💀 Job #${job.id} (${job.type}) dead-lettered after ${job.attempts} attempt(s): ${message}`);
+      return 'dead';
+    }
+
+    const delaySeconds = Math.round(getBackoffMs(job.attempts) / 1000);
+    await query(`
+      UPDATE jobs
+      SET status = 'pending', last_error = ?, locked_by = NULL, run_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+      WHERE id = ? AND locked_by = ?
+    `, [message, delaySeconds, job.id, workerId]);
+    console.warn(`⚠️  Job #${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${delaySeconds}s: ${message}`);
+    return 'retry';
+  }
+}
+
+/**
+ * Process due jobs in batches until none are left or the time budget is spent
+ * @param {Object} options - { timeBudgetMs } (stop claiming new batches after this long)
+ * @returns {Promise<Object>} - { processed, completed, retry, dead }
+ */
+async function processJobs({ timeBudgetMs = 50000 } = {}) {
+  const workerId = crypto.randomBytes(16).toString('hex');
+  const startTime = Date.now();
+  const summary = { processed: 0, completed: 0, retry: 0, dead: 0 };
+
+  while (Date.now() - startTime < timeBudgetMs) {
+    const jobs = await claimJobs(workerId);
+    if (jobs.length === 0) break;
+
+    for (const job of jobs) {
+      const outcome = await runJob(job, workerId);
+      summary.processed++;
+      summary[outcome]++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { status, type, inquiryId, limit }
+ */
+async function listJobs({ status, type, inquiryId, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+  if (inquiryId) {
+    conditions.push('inquiry_id = ?');
+    params.push(inquiryId);
+  }
+
+  const jobs = await query(`
+    SELECT * FROM jobs
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ${parseInt(limit, 10)}
+  `, params);
+  return jobs.map(formatJob);
+}
+
+/**
+ * Job counts by status
+ * @returns {Promise<Object>} - { pending, running, completed, dead }
+ */
+async function getJobCounts() {
+  const rows = await query('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status');
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  for (const row of rows) {
+    counts[row.status] = Number(row.count);
+  }
+  return counts;
+}
+
+async function getJob(jobId) {
+  const jobs = await query('SELECT * FROM jobs WHERE id = ?', [jobId]);
+  return jobs.length > 0 ? formatJob(jobs[0]) : null;
+}
+
+/**
+ * Requeue a dead (or waiting) job to run now with a fresh set of attempts
+ * @returns {Promise<Object|null>} - Updated job, or null if it isn't dead or pending
+ */
+async function retryJob(jobId) {
+  const result = await query(`
+    UPDATE jobs
+    SET status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP, locked_by = NULL
+    WHERE id = ? AND status IN ('dead', 'pending')
+  `, [jobId]);
+  if (result.affectedRows === 0) return null;
+  return getJob(jobId);
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_TYPES,
+  enqueueJob,
+  updatePendingJobPayload,
+  processJobs,
+  listJobs,
+  getJobCounts,
+  getJob,
+  retryJob
+};
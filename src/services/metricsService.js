@@ -0,0 +1,163 @@
+/**
+ * Carrier callback metrics
+ * In-memory counters for carrier rate responses: outcomes, latency and
+ * degradations (a dependency ran out of its share of the latency budget and
+ * the response was built from cached or default data instead)
+ *
+ * The in-memory counters are per server instance and reset on restart; each
+ * response is also added to per-minute counters in the carrier_metrics table
+ * (shared by every instance) and each degraded response is logged as one JSON line
+ */
+
+const { waitUntil } = require('@vercel/functions');
+const { query } = require('../db/config');
+
+const LATENCY_SAMPLE_SIZE = 500; // Most recent response times kept for percentiles
+const RECENT_DEGRADATIONS = 20;
+const RETENTION_DAYS = parseInt(process.env.CARRIER_METRICS_RETENTION_DAYS, 10) || 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+const startedAt = new Date();
+let requests = 0;
+let degradedRequests = 0;
+const outcomes = {};
+const degradations = {};
+const latencies = [];
+const recentDegradations = [];
+let lastPrunedAt = 0;
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(Math.ceil(sorted.length * fraction) - 1, sorted.length - 1)];
+}
+
+// 'YYYY-MM-DD HH:MM:00' in UTC, so every instance buckets the same minute the same way
+function toMinute(date) {
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')}:00`;
+}
+
+/**
+ * Add one response to this minute's carrier_metrics rows (failures are logged, not thrown)
+ * Old rows are pruned at most once an hour per instance
+ */
+async function persistCarrierResponse({ outcome, durationMs, reasons }) {
+  const metrics = [`outcome:${outcome}`, ...reasons.map(reason => `degradation:${reason}`)];
+  if (reasons.length > 0) metrics.push('degraded');
+
+  const minute = toMinute(new Date());
+  try {
+    await query(`
+      INSERT INTO carrier_metrics (minute, metric, count, duration_ms_total, duration_ms_max)
+      VALUES ${metrics.map(() => '(?, ?, 1, ?, ?)').join(', ')}
+      ON DUPLICATE KEY UPDATE
+        count = count + 1,
+        duration_ms_total = duration_ms_total + VALUES(duration_ms_total),
+        duration_ms_max = GREATEST(duration_ms_max, VALUES(duration_ms_max))
+    `, metrics.flatMap(metric => [minute, metric, durationMs, durationMs]));
+
+    if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+      lastPrunedAt = Date.now();
+      await query('DELETE FROM carrier_metrics WHERE minute < ?', [toMinute(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000))]);
+    }
+  } catch (error) {
+    console.warn('⚠️  Failed to persist carrier metrics:', error.message);
+  }
+}
+
+/**
+ * Record one carrier rates response
+ * @param {Object} response - { requestId, outcome, durationMs, degradations: [string] }
+ */
+function recordCarrierResponse({ requestId, outcome, durationMs, degradations: reasons = [] }) {
+  requests++;
+  increment(outcomes, outcome);
+
+  latencies.push(durationMs);
+  if (latencies.length > LATENCY_SAMPLE_SIZE) latencies.shift();
+
+  if (reasons.length > 0) {
+    degradedRequests++;
+    reasons.forEach(reason => increment(degradations, reason));
+    recentDegradations.unshift({ requestId, outcome, durationMs, reasons, at: new Date().toISOString() });
+    if (recentDegradations.length > RECENT_DEGRADATIONS) recentDegradations.pop();
+    console.warn(JSON.stringify({ event: 'carrier_degraded', requestId, outcome, durationMs, reasons }));
+  }
+
+  // Written after the response is sent; waitUntil keeps the function alive for it on Vercel
+  waitUntil(persistCarrierResponse({ outcome, durationMs, reasons }));
+}
+
+/**
+ * Snapshot of the carrier metrics
+ * @returns {Object} - { since, requests, degraded, outcomes, degradations, latencyMs, recentDegradations }
+ */
+function getCarrierMetrics() {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  return {
+    since: startedAt.toISOString(),
+    requests,
+    degraded: degradedRequests,
+    degradedRate: requests > 0 ? Number((degradedRequests / requests).toFixed(4)) : 0,
+    outcomes: { ...outcomes },
+    degradations: { ...degradations },
+    latencyMs: {
+      samples: sorted.length,
+      p50: percentile(sorted, 0.5),
+      p95: percentile(sorted, 0.95),
+      p99: percentile(sorted, 0.99),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+    },
+    recentDegradations: [...recentDegradations]
+  };
+}
+
+/**
+ * Carrier metrics for the last `minutes` across every instance, from carrier_metrics
+ * @param {number} minutes - Window size (capped at 7 days)
+ * @returns {Promise<Object>} - { since, minutes, requests, degraded, outcomes, degradations, latencyMs: { avg, max } }
+ */
+async function getPersistedCarrierMetrics(minutes) {
+  const windowMinutes = Math.min(Math.max(minutes, 1), MAX_WINDOW_MINUTES);
+  const since = toMinute(new Date(Date.now() - (windowMinutes - 1) * 60 * 1000));
+  const rows = await query(`
+    SELECT metric, SUM(count) AS count, SUM(duration_ms_total) AS durationTotal, MAX(duration_ms_max) AS durationMax
+    FROM carrier_metrics
+    WHERE minute >= ?
+    GROUP BY metric
+  `, [since]);
+
+  const result = { since: `${since.replace(' ', 'T')}Z`, minutes: windowMinutes, requests: 0, degraded: 0, outcomes: {}, degradations: {} };
+  let durationTotal = 0;
+  let durationMax = null;
+  for (const row of rows) {
+    const count = Number(row.count);
+    const [kind, name] = row.metric.split(':');
+    if (kind === 'outcome') {
+      result.outcomes[name] = count;
+      result.requests += count;
+      durationTotal += Number(row.durationTotal);
+      durationMax = Math.max(durationMax || 0, Number(row.durationMax));
+    } else if (kind === 'degradation') {
+      result.degradations[name] = count;
+    } else if (kind === 'degraded') {
+      result.degraded = count;
+    }
+  }
+  result.degradedRate = result.requests > 0 ? Number((result.degraded / result.requests).toFixed(4)) : 0;
+  result.latencyMs = {
+    avg: result.requests > 0 ? Math.round(durationTotal / result.requests) : null,
+    max: durationMax
+  };
+  return result;
+}
+
+module.exports = {
+  recordCarrierResponse,
+  getCarrierMetrics,
+  getPersistedCarrierMetrics
+};
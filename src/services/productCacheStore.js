@@ -0,0 +1,165 @@
+/**
+ * Product cache stores
+ * Persistent backing store for product data (tags, product type, vendor,
+ * metafields, collections) so carrier callbacks on a cold serverless instance don't have
+ * to call the Admin API for every cart product
+ *
+ * Select the store with PRODUCT_CACHE_STORE:
+ *   mysql  - product_cache table, shared by every instance (default)
+ *   memory - process-local only (local development, no product_cache table)
+ *
+ * Every store implements:
+ *   getMany(ids)      -> Map of product ID (string) -> { tags, productType, vendor, metafields|null, collections|null, fetchedAt }
+ *   setMany(entries)  -> upsert a Map of product ID -> { tags, productType, vendor, metafields|null, collections|null }
+ *   deleteMany(ids)   -> remove products (e.g. on products/delete)
+ *   clear()           -> remove every product (e.g. on app/uninstalled)
+ */
+
+const { query } = require('../db/config');
+
+/**
+ * Parse a JSON column, returning the fallback for NULL or malformed values
+ */
+function parseJsonColumn(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Process-local store
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async getMany(ids) {
+      const results = new Map();
+      for (const id of ids) {
+        const entry = entries.get(String(id));
+        if (entry) results.set(String(id), entry);
+      }
+      return results;
+    },
+
+    async setMany(products) {
+      const fetchedAt = new Date();
+      for (const [id, data] of products) {
+        entries.set(String(id), { ...data, fetchedAt });
+      }
+    },
+
+    async deleteMany(ids) {
+      for (const id of ids) {
+        entries.delete(String(id));
+      }
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * MySQL store (product_cache table)
+ */
+function createMysqlStore() {
+  return {
+    name: 'mysql',
+
+    async getMany(ids) {
+      const results = new Map();
+      if (ids.length === 0) return results;
+
+      const rows = await query(
+        `SELECT product_id, tags, product_type, vendor, metafields, collections, fetched_at
+         FROM product_cache
+         WHERE product_id IN (${ids.map(() => '?').join(', ')})`,
+        ids.map(String)
+      );
+      for (const row of rows) {
+        results.set(String(row.product_id), {
+          tags: parseJsonColumn(row.tags, []),
+          productType: row.product_type,
+          vendor: row.vendor,
+          metafields: parseJsonColumn(row.metafields, null),
+          collections: parseJsonColumn(row.collections, null),
+          fetchedAt: new Date(row.fetched_at)
+        });
+      }
+      return results;
+    },
+
+    async setMany(products) {
+      if (products.size === 0) return;
+
+      const rows = [];
+      for (const [id, data] of products) {
+        rows.push([
+          String(id),
+          JSON.stringify(data.tags || []),
+          data.productType || null,
+          data.vendor || null,
+          data.metafields ? JSON.stringify(data.metafields) : null,
+          data.collections ? JSON.stringify(data.collections) : null
+        ]);
+      }
+
+      // Entries written without metafields or collections (webhooks, tag-only sync) clear
+      // stale ones; they are refetched the next time a restriction or rule needs them
+      await query(
+        `INSERT INTO product_cache (product_id, tags, product_type, vendor, metafields, collections)
+         VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+         ON DUPLICATE KEY UPDATE
+           tags = VALUES(tags),
+           product_type = VALUES(product_type),
+           vendor = VALUES(vendor),
+           metafields = VALUES(metafields),
+           collections = VALUES(collections),
+           fetched_at = CURRENT_TIMESTAMP`,
+        rows.flat()
+      );
+    },
+
+    async deleteMany(ids) {
+      if (ids.length === 0) return;
+      await query(
+        `DELETE FROM product_cache WHERE product_id IN (${ids.map(() => '?').join(', ')})`,
+        ids.map(String)
+      );
+    },
+
+    async clear() {
+      await query('DELETE FROM product_cache');
+    }
+  };
+}
+
+const STORES = {
+  memory: createMemoryStore,
+  mysql: createMysqlStore
+};
+
+/**
+ * Create the store selected by PRODUCT_CACHE_STORE (default: mysql)
+ */
+function createProductCacheStore(name = process.env.PRODUCT_CACHE_STORE || 'mysql') {
+  const factory = STORES[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown PRODUCT_CACHE_STORE "${name}" (expected: ${Object.keys(STORES).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = {
+  createProductCacheStore,
+  createMemoryStore,
+  createMysqlStore
+};
@@ -0,0 +1,353 @@
+/**
+ * Product data service
+ * Fetches tags, metafields, collections, product type and vendor for cart products in a
+ * single GraphQL Admin API `nodes` query, with an overall latency budget and
+ * a fallback to per-product REST calls
+ *
+ * Lookups go through two cache layers: a short-lived in-process Map, then the
+ * persistent product cache store (see productCacheStore), which survives cold
+ * starts and is kept current by the bulk sync script and product webhooks
+ *
+ * Carrier service callbacks include product_id but none of this data, and
+ * Shopify times the callback out aggressively - lookups never block longer
+ * than the budget; products not fetched in time are treated as having no data
+ */
+
+const { waitUntil } = require('@vercel/functions');
+const shopifyAdmin = require('./shopifyAdminClient');
+const { createProductCacheStore } = require('./productCacheStore');
+
+// Short in-process TTL: other instances only learn about webhook updates via the store
+const LOCAL_CACHE_TTL_MS = 60 * 1000;
+// Safety net for missed webhooks
+const STORE_MAX_AGE_MS = (parseFloat(process.env.PRODUCT_CACHE_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+// A slow store must not eat the Admin API's share of the latency budget
+const STORE_TIMEOUT_MS = 500;
+const DEFAULT_BUDGET_MS = parseInt(process.env.PRODUCT_LOOKUP_BUDGET_MS, 10) || 2000;
+const NODES_PER_QUERY = 250; // GraphQL `nodes` (and connection `first`) limit
+const METAFIELDS_PER_PRODUCT = 50;
+const COLLECTIONS_PER_PRODUCT = 25;
+// Shopify rejects queries whose requested cost exceeds this (MAX_COST_EXCEEDED)
+const MAX_QUERY_COST = 1000;
+// Requested cost of a paginated connection (e.g. `products`) around the products
+const CONNECTION_QUERY_COST = 2;
+// Requested cost per product: 1 for the object, plus first + 2 for each connection
+const PRODUCT_QUERY_COST = 1;
+const METAFIELDS_QUERY_COST = METAFIELDS_PER_PRODUCT + 2;
+const COLLECTIONS_QUERY_COST = COLLECTIONS_PER_PRODUCT + 2;
+// One quick retry at most - a failed GraphQL lookup still has the REST fallback
+const LOOKUP_MAX_RETRIES = 1;
+
+// In-process cache: product ID (string) -> { tags, productType, vendor, metafields|null, collections|null, expiresAt }
+const productCache = new Map();
+
+const productStore = createProductCacheStore();
+
+const PRODUCT_FIELDS = `
+  legacyResourceId
+  tags
+  productType
+  vendor
+`;
+
+/**
+ * Products per query that keep its requested cost under MAX_QUERY_COST
+ * (250 without metafields or collections, 18 with metafields, 12 with both)
+ * Pass { connection: true } for a paginated `products` query instead of `nodes`
+ */
+function getBatchSize({ metafields, collections, connection = false }) {
+  const costPerProduct = PRODUCT_QUERY_COST +
+    (metafields ? METAFIELDS_QUERY_COST : 0) +
+    (collections ? COLLECTIONS_QUERY_COST : 0);
+  const budget = MAX_QUERY_COST - (connection ? CONNECTION_QUERY_COST : 0);
+  return Math.min(NODES_PER_QUERY, Math.floor(budget / costPerProduct));
+}
+
+function parseProductTags(tagsString) {
+  if (!tagsString) return [];
+  return tagsString.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * True when cached data has the optional fields a lookup needs
+ */
+function hasIncluded(data, include) {
+  return (!include.metafields || !!data.metafields) && (!include.collections || !!data.collections);
+}
+
+/**
+ * Cached data for a product, or null when missing, expired or lacking metafields/collections
+ */
+function getCached(productId, include) {
+  const cached = productCache.get(String(productId));
+  if (!cached || cached.expiresAt <= Date.now()) return null;
+  if (!hasIncluded(cached, include)) return null;
+  return cached;
+}
+
+function setCached(productId, data) {
+  const entry = {
+    tags: data.tags,
+    productType: data.productType,
+    vendor: data.vendor,
+    metafields: data.metafields,
+    collections: data.collections || null,
+    expiresAt: Date.now() + LOCAL_CACHE_TTL_MS
+  };
+  productCache.set(String(productId), entry);
+  return entry;
+}
+
+/**
+ * Resolve with the promise's value, or reject once timeoutMs has passed
+ */
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Read products from the persistent store into the in-process cache
+ * Returns the IDs that are still missing (absent, too old, or lacking metafields/collections)
+ */
+async function readFromStore(ids, include, results, timeoutMs) {
+  let stored;
+  try {
+    stored = await withTimeout(productStore.getMany(ids), timeoutMs, 'Product cache store timed out');
+  } catch (error) {
+    console.warn(`⚠️  Product cache store (${productStore.name}) read failed: ${error.message}`);
+    return ids;
+  }
+
+  const missing = [];
+  for (const id of ids) {
+    const entry = stored.get(id);
+    const fresh = entry && (Date.now() - entry.fetchedAt.getTime() < STORE_MAX_AGE_MS);
+    if (fresh && hasIncluded(entry, include)) {
+      results.set(id, setCached(id, entry));
+    } else {
+      missing.push(id);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Write fetched products through to the persistent store (failures are logged, not thrown)
+ * Lookups don't await this - the write finishes in the background (kept alive with
+ * waitUntil on Vercel) so a slow store never holds up the caller once its products are fetched
+ */
+async function writeToStore(products) {
+  if (products.size === 0) return;
+  try {
+    await withTimeout(productStore.setMany(products), STORE_TIMEOUT_MS, 'Product cache store timed out');
+  } catch (error) {
+    console.warn(`⚠️  Product cache store (${productStore.name}) write failed: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch one batch of products with a GraphQL `nodes` query
+ * Retries and rate-limit waits stop at the deadline (epoch ms)
+ */
+async function fetchProductsGraphql(productIds, include, deadline) {
+  const query = `
+    query ProductData($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          ${PRODUCT_FIELDS}
+          ${include.metafields ? `metafields(first: ${METAFIELDS_PER_PRODUCT}) { nodes { namespace key value } }` : ''}
+          ${include.collections ? `collections(first: ${COLLECTIONS_PER_PRODUCT}) { nodes { handle } }` : ''}
+        }
+      }
+    }
+  `;
+
+  const data = await shopifyAdmin.graphql(
+    query,
+    { ids: productIds.map(id => `gid://shopify/Product/${id}`) },
+    { timeoutMs: deadline - Date.now(), deadline, maxRetries: LOOKUP_MAX_RETRIES }
+  );
+
+  const results = new Map();
+  for (const node of data?.nodes || []) {
+    // Deleted products come back as null
+    if (!node || !node.legacyResourceId) continue;
+    const metafields = include.metafields ? {} : null;
+    for (const metafield of node.metafields?.nodes || []) {
+      metafields[`${metafield.namespace}.${metafield.key}`] = String(metafield.value ?? '');
+    }
+    results.set(String(node.legacyResourceId), {
+      tags: node.tags || [],
+      productType: node.productType || null,
+      vendor: node.vendor || null,
+      metafields,
+      collections: include.collections ? (node.collections?.nodes || []).map(collection => collection.handle) : null
+    });
+  }
+  return results;
+}
+
+/**
+ * Fetch a single product over REST (fallback path)
+ * Collections take two calls: custom and smart collections are listed separately
+ */
+async function fetchProductRest(productId, include, deadline) {
+  const options = { timeoutMs: deadline - Date.now(), deadline, maxRetries: LOOKUP_MAX_RETRIES };
+
+  const [productData, metafieldData, customCollectionData, smartCollectionData] = await Promise.all([
+    shopifyAdmin.get(`/products/${productId}.json?fields=id,tags,product_type,vendor`, options),
+    include.metafields ? shopifyAdmin.get(`/products/${productId}/metafields.json?fields=namespace,key,value`, options) : null,
+    include.collections ? shopifyAdmin.get(`/custom_collections.json?product_id=${productId}&fields=handle`, options) : null,
+    include.collections ? shopifyAdmin.get(`/smart_collections.json?product_id=${productId}&fields=handle`, options) : null
+  ]);
+
+  const product = productData?.product || {};
+  let metafields = null;
+  if (include.metafields) {
+    metafields = {};
+    for (const metafield of metafieldData?.metafields || []) {
+      metafields[`${metafield.namespace}.${metafield.key}`] = String(metafield.value ?? '');
+    }
+  }
+
+  return {
+    tags: parseProductTags(product.tags),
+    productType: product.product_type || null,
+    vendor: product.vendor || null,
+    metafields,
+    collections: include.collections
+      ? [...(customCollectionData?.custom_collections || []), ...(smartCollectionData?.smart_collections || [])]
+        .map(collection => collection.handle)
+      : null
+  };
+}
+
+/**
+ * Get product data for several products (cached)
+ * @param {Array} productIds - Shopify product IDs
+ * @param {Object} options - { includeMetafields: boolean, includeCollections: boolean, budgetMs: number }
+ * @returns {Promise<Map>} - product ID (string) -> { tags, productType, vendor, metafields, collections }
+ *   (collections are handles); products that could not be fetched within the budget are left out
+ */
+async function getProductsData(productIds, { includeMetafields = false, includeCollections = false, budgetMs = DEFAULT_BUDGET_MS } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const include = { metafields: includeMetafields, collections: includeCollections };
+  const ids = [...new Set((productIds || []).filter(Boolean).map(String))];
+  const results = new Map();
+
+  const uncached = [];
+  for (const id of ids) {
+    const cached = getCached(id, include);
+    if (cached) {
+      results.set(id, cached);
+    } else {
+      uncached.push(id);
+    }
+  }
+  if (uncached.length === 0) {
+    return results;
+  }
+
+  const remaining = () => Math.max(deadline - Date.now(), 0);
+
+  const missing = await readFromStore(uncached, include, results, Math.min(remaining(), STORE_TIMEOUT_MS));
+  if (missing.length === 0) {
+    return results;
+  }
+  const fetchedProducts = new Map();
+
+  // One GraphQL request per batch (a cart almost always fits in one)
+  const batchSize = getBatchSize(include);
+  try {
+    for (let i = 0; i < missing.length; i += batchSize) {
+      if (remaining() === 0) throw new Error('Latency budget exhausted');
+      const batch = missing.slice(i, i + batchSize);
+      const fetched = await fetchProductsGraphql(batch, include, deadline);
+      for (const id of batch) {
+        // Products missing from the response (deleted) are cached as empty to avoid refetching
+        const data = fetched.get(id) || {
+          tags: [],
+          productType: null,
+          vendor: null,
+          metafields: includeMetafields ? {} : null,
+          collections: includeCollections ? [] : null
+        };
+        fetchedProducts.set(id, data);
+        results.set(id, setCached(id, data));
+      }
+    }
+    waitUntil(writeToStore(fetchedProducts));
+    return results;
+  } catch (error) {
+    console.warn(`⚠️  GraphQL product lookup failed (${error.message}) - falling back to REST`);
+  }
+
+  // REST fallback: remaining products in parallel, bounded by what is left of the budget
+  const pending = missing.filter(id => !results.has(id));
+  if (remaining() === 0) {
+    console.warn(`⚠️  Product lookup budget exhausted - ${pending.length} product(s) treated as having no data`);
+    waitUntil(writeToStore(fetchedProducts));
+    return results;
+  }
+
+  const settled = await Promise.allSettled(
+    pending.map(id => fetchProductRest(id, include, deadline))
+  );
+  settled.forEach((outcome, index) => {
+    const id = pending[index];
+    if (outcome.status === 'fulfilled') {
+      fetchedProducts.set(id, outcome.value);
+      results.set(id, setCached(id, outcome.value));
+    } else {
+      console.error(`Failed to fetch product ${id}:`, outcome.reason.message);
+    }
+  });
+
+  waitUntil(writeToStore(fetchedProducts));
+  return results;
+}
+
+/**
+ * Store product data received outside a lookup (bulk sync, products/update webhook)
+ * @param {Map} products - product ID -> { tags, productType, vendor, metafields|null, collections|null }
+ */
+async function saveProductsData(products) {
+  for (const [id, data] of products) {
+    setCached(id, data);
+  }
+  await productStore.setMany(products);
+}
+
+/**
+ * Remove products from both cache layers (products/delete webhook)
+ */
+async function removeProductsData(productIds) {
+  const ids = (productIds || []).filter(Boolean).map(String);
+  for (const id of ids) {
+    productCache.delete(id);
+  }
+  await productStore.deleteMany(ids);
+}
+
+/**
+ * Empty both cache layers (app/uninstalled)
+ */
+async function clearProductsData() {
+  productCache.clear();
+  await productStore.clear();
+}
+
+module.exports = {
+  METAFIELDS_PER_PRODUCT,
+  COLLECTIONS_PER_PRODUCT,
+  getBatchSize,
+  getProductsData,
+  saveProductsData,
+  removeProductsData,
+  clearProductsData,
+  parseProductTags
+};
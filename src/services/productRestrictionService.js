@@ -0,0 +1,227 @@
+/**
+ * Product restriction service
+ * Applies tag- or metafield-driven product rules to each cart line item:
+ * force the INQUIRY outcome, add a handling surcharge, or restrict the
+ * warehouses a product may ship from
+ * Uses in-memory cache for fast lookups
+ */
+
+const { query } = require('../db/config');
+const { parsePostcodeList, matchesZoneRow } = require('../utils/postcode');
+const { getProductsData } = require('./productDataService');
+const { findMatchingZone } = require('./zoneService');
+
+const RESTRICTION_ACTIONS = ['inquiry', 'surcharge', 'restrict_warehouses'];
+
+// In-memory cache for restrictions
+let restrictionsCache = null;
+let restrictionsCacheTimestamp = null;
+let restrictionsRefresh = null; // In-flight background refresh
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Parse a comma-separated warehouse ID list (null when empty)
+ */
+function parseWarehouseIds(value) {
+  const ids = String(value || '').split(',').map(id => parseInt(id.trim(), 10)).filter(Number.isInteger);
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Load active restrictions from database into memory cache
+ * Handles database errors gracefully
+ */
+async function loadRestrictionsCache() {
+  try {
+    const restrictions = await query(`
+      SELECT *
+      FROM product_restrictions
+      WHERE active = TRUE
+      ORDER BY id
+    `);
+
+    restrictionsCache = restrictions.map(restriction => ({
+      ...restriction,
+      productTag: restriction.product_tag ? restriction.product_tag.trim().toLowerCase() : null,
+      metafield: restriction.metafield_namespace && restriction.metafield_key
+        ? `${restriction.metafield_namespace}.${restriction.metafield_key}`
+        : null,
+      warehouseIds: parseWarehouseIds(restriction.warehouse_ids),
+      // Invalid lists are rejected by the admin API; treat leftovers as "no exemptions"
+      exemptZones: restriction.exempt_postcodes ? (parsePostcodeList(restriction.exempt_postcodes).zones || []) : null
+    }));
+    restrictionsCacheTimestamp = Date.now();
+    console.log(`Loaded ${restrictions.length} product restrictions into cache`);
+    return restrictions;
+  } catch (error) {
+    console.error('Error loading product restrictions cache:', error.message);
+    // Don't throw - keep the last-known restrictions and leave the timestamp alone so the
+    // next request retries; with none ever loaded, carts get the inquiry option (fail closed)
+    return [];
+  }
+}
+
+/**
+ * Refresh restrictions cache if expired
+ * Serves the expired cache while it reloads in the background
+ */
+async function ensureRestrictionsFresh() {
+  if (restrictionsCache && restrictionsCacheTimestamp && (Date.now() - restrictionsCacheTimestamp <= CACHE_TTL)) {
+    return;
+  }
+  if (!restrictionsRefresh) {
+    restrictionsRefresh = loadRestrictionsCache().finally(() => { restrictionsRefresh = null; });
+  }
+  if (!restrictionsCache) {
+    await restrictionsRefresh;
+  }
+}
+
+/**
+ * True when a restriction targets a product with these tags/metafields
+ */
+function restrictionMatchesProduct(restriction, { tags, metafields }) {
+  if (restriction.productTag && tags.has(restriction.productTag)) {
+    return true;
+  }
+  if (restriction.metafield) {
+    const value = metafields[restriction.metafield];
+    if (value === undefined || value === '') return false;
+    return restriction.metafield_value === null ||
+      value.trim().toLowerCase() === String(restriction.metafield_value).trim().toLowerCase();
+  }
+  return false;
+}
+
+/**
+ * True when a restriction is exempt at this postcode
+ */
+function isExempt(restriction, postcode) {
+  return !!(restriction.exemptZones && postcode &&
+    restriction.exemptZones.some(zone => matchesZoneRow(postcode, zone)));
+}
+
+/**
+ * True unless restrictions are loaded and none of them can apply at this postcode
+ * (used to keep the deadline fallback from offering a rate to restricted products)
+ */
+function mayApplyRestrictions(postcode) {
+  if (!restrictionsCache) return true;
+  return restrictionsCache.some(restriction => !isExempt(restriction, postcode));
+}
+
+/**
+ * Evaluate product restrictions for every cart line item
+ * Fails closed: when no restrictions could ever be loaded, or products could not be
+ * fetched in time and an inquiry or warehouse restriction applies at this postcode,
+ * the inquiry is forced
+ * @param {Object} context - { items, postcode (normalized), match, budgetMs (product lookup budget) }
+ * @returns {Promise<Object>} - {
+ *   forceInquiry, reasons: [string], surchargeCents,
+ *   surcharges: [{ title, restrictionId, cents }], allowedWarehouseIds: [number]|null,
+ *   rematchedZone: zone match from an allowed warehouse when `match` is not allowed, else null,
+ *   unresolvedProducts: number (products not fetched in time),
+ *   restrictionsUnavailable: true when the restrictions could not be loaded
+ * }
+ */
+async function evaluateProductRestrictions({ items, postcode, match, budgetMs }) {
+  const result = {
+    forceInquiry: false,
+    reasons: [],
+    surchargeCents: 0,
+    surcharges: [],
+    allowedWarehouseIds: null,
+    rematchedZone: null,
+    unresolvedProducts: 0,
+    restrictionsUnavailable: false
+  };
+
+  try {
+    await ensureRestrictionsFresh();
+  } catch (error) {
+    console.warn('⚠️  Error ensuring product restrictions cache fresh:', error.message);
+  }
+
+  if (!restrictionsCache) {
+    result.forceInquiry = true;
+    result.restrictionsUnavailable = true;
+    result.reasons.push('Product restrictions could not be loaded');
+    return result;
+  }
+
+  const restrictions = restrictionsCache;
+  if (restrictions.length === 0) {
+    return result;
+  }
+
+  // One batched lookup for every product in the cart (metafields only when a restriction needs them)
+  const productIds = [...new Set((items || []).map(item => item.product_id).filter(Boolean).map(String))];
+  const products = await getProductsData(productIds, {
+    includeMetafields: restrictions.some(restriction => restriction.metafield),
+    budgetMs
+  });
+  result.unresolvedProducts = productIds.filter(productId => !products.has(productId)).length;
+  if (result.unresolvedProducts > 0 && restrictions.some(restriction =>
+    restriction.action !== 'surcharge' && !isExempt(restriction, postcode))) {
+    result.forceInquiry = true;
+    result.reasons.push(`${result.unresolvedProducts} product(s) could not be checked for shipping restrictions`);
+    return result;
+  }
+  const attributesByProduct = new Map();
+  for (const [productId, product] of products) {
+    attributesByProduct.set(productId, {
+      tags: new Set(product.tags.map(tag => tag.toLowerCase())),
+      metafields: product.metafields || {}
+    });
+  }
+
+  const warehouseReasons = [];
+  for (const item of items || []) {
+    // Only surcharges can be missed here - see the fail-closed check above
+    const attributes = item.product_id && attributesByProduct.get(String(item.product_id));
+    if (!attributes) continue;
+    const title = item.name || item.title || 'Product';
+
+    for (const restriction of restrictions) {
+      if (!restrictionMatchesProduct(restriction, attributes)) continue;
+      if (isExempt(restriction, postcode)) continue;
+
+      const reason = `${title}: ${restriction.reason || restriction.name}`;
+
+      if (restriction.action === 'inquiry') {
+        result.forceInquiry = true;
+        result.reasons.push(reason);
+      } else if (restriction.action === 'surcharge') {
+        const cents = (restriction.surcharge_cents || 0) * (restriction.per_unit ? (item.quantity || 1) : 1);
+        result.surchargeCents += cents;
+        result.surcharges.push({ title, restrictionId: restriction.id, cents });
+      } else if (restriction.action === 'restrict_warehouses' && restriction.warehouseIds) {
+        result.allowedWarehouseIds = result.allowedWarehouseIds
+          ? result.allowedWarehouseIds.filter(id => restriction.warehouseIds.includes(id))
+          : [...restriction.warehouseIds];
+        warehouseReasons.push(reason);
+      }
+    }
+  }
+
+  // Ship from the best-ranked allowed warehouse covering the postcode, if any
+  if (match && result.allowedWarehouseIds && !result.allowedWarehouseIds.includes(match.warehouseId)) {
+    result.rematchedZone = result.allowedWarehouseIds.length > 0
+      ? await findMatchingZone(postcode, { warehouseIds: result.allowedWarehouseIds })
+      : null;
+    if (!result.rematchedZone) {
+      result.forceInquiry = true;
+      result.reasons.push(...warehouseReasons);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  RESTRICTION_ACTIONS,
+  loadRestrictionsCache,
+  ensureRestrictionsFresh,
+  mayApplyRestrictions,
+  evaluateProductRestrictions
+};
@@ -0,0 +1,438 @@
+/**
+ * Rate table service
+ * Resolves the shipping price for a matched zone (rate tables or distance brackets),
+ * applies cart weight bands, prices additional service levels and lists
+ * click-and-collect pickup options
+ * Uses in-memory cache for fast lookups
+ */
+
+const { query } = require('../db/config');
+const { matchesZoneRow, parsePostcodeList } = require('../utils/postcode');
+
+// Flat rate in cents (AUD $59.00) - used when no rate table entry applies
+const DEFAULT_RATE_CENTS = 5900;
+const DEFAULT_SERVICE_NAME = 'Standard Delivery';
+
+// In-memory cache for rates, weight bands and distance pricing
+let ratesCache = null;
+let weightBandsCache = null;
+let distancePricingCache = null; // Map of warehouse_id -> { baseCents, maxKm, brackets }
+let distancesCache = null;       // Map of `${warehouse_id}:${postcode}` -> [{ suburb, km }]
+let serviceLevelsCache = null;
+let pickupCache = null;         // Active pickup-enabled warehouses
+let ratesCacheTimestamp = null;
+let ratesRefresh = null;        // In-flight background refresh
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Load distance pricing settings, brackets and postcode distances for
+ * warehouses in distance pricing mode
+ */
+async function loadDistancePricing() {
+  const warehouses = await query(`
+    SELECT id, distance_base_cents, max_distance_km
+    FROM warehouses
+    WHERE status = 'active' AND pricing_mode = 'distance'
+  `);
+
+  const pricing = new Map();
+  const distances = new Map();
+  if (warehouses.length === 0) {
+    return { pricing, distances };
+  }
+
+  for (const warehouse of warehouses) {
+    pricing.set(warehouse.id, {
+      baseCents: warehouse.distance_base_cents || 0,
+      maxKm: warehouse.max_distance_km === null ? null : Number(warehouse.max_distance_km),
+      brackets: []
+    });
+  }
+
+  const brackets = await query(`
+    SELECT b.warehouse_id, b.min_km, b.max_km, b.per_km_cents
+    FROM distance_brackets b
+    INNER JOIN warehouses w ON b.warehouse_id = w.id
+    WHERE w.status = 'active' AND w.pricing_mode = 'distance'
+    ORDER BY b.min_km
+  `);
+  for (const bracket of brackets) {
+    pricing.get(bracket.warehouse_id).brackets.push({
+      minKm: Number(bracket.min_km),
+      maxKm: bracket.max_km === null ? null : Number(bracket.max_km),
+      perKmCents: bracket.per_km_cents
+    });
+  }
+
+  const rows = await query(`
+    SELECT d.warehouse_id, d.postcode, d.suburb, d.distance_km
+    FROM postcode_distances d
+    INNER JOIN warehouses w ON d.warehouse_id = w.id
+    WHERE w.status = 'active' AND w.pricing_mode = 'distance'
+  `);
+  for (const row of rows) {
+    const key = `${row.warehouse_id}:${row.postcode}`;
+    if (!distances.has(key)) distances.set(key, []);
+    distances.get(key).push({ suburb: row.suburb, km: Number(row.distance_km) });
+  }
+
+  return { pricing, distances };
+}
+
+/**
+ * Load all rates, weight bands and distance pricing from database into memory cache
+ * Handles database errors gracefully
+ */
+async function loadRatesCache() {
+  try {
+    const rates = await query(`
+      SELECT
+        r.id,
+        r.warehouse_id,
+        r.zone_id,
+        r.postcode_pattern,
+        r.price_cents,
+        r.service_name
+      FROM shipping_rates r
+      INNER JOIN warehouses w ON r.warehouse_id = w.id
+      WHERE w.status = 'active'
+    `);
+
+    const weightBands = await query(`
+      SELECT
+        id,
+        warehouse_id,
+        zone_id,
+        min_grams,
+        max_grams,
+        surcharge_cents,
+        per_item_cents
+      FROM weight_bands
+      ORDER BY min_grams
+    `);
+
+    const { pricing, distances } = await loadDistancePricing();
+
+    const serviceLevels = await query(`
+      SELECT s.*
+      FROM service_levels s
+      INNER JOIN warehouses w ON s.warehouse_id = w.id
+      WHERE w.status = 'active' AND s.active = TRUE
+      ORDER BY s.sort_order, s.id
+    `);
+
+    const pickupWarehouses = await query(`
+      SELECT id, name, address, suburb, state, postcode, pickup_postcodes, dispatch_cutoff
+      FROM warehouses
+      WHERE status = 'active' AND pickup_enabled = TRUE
+      ORDER BY priority DESC, id
+    `);
+
+    ratesCache = rates;
+    weightBandsCache = weightBands;
+    distancePricingCache = pricing;
+    distancesCache = distances;
+    serviceLevelsCache = serviceLevels.map(level => ({
+      ...level,
+      // Invalid lists are rejected by the admin API; treat leftovers as "no postcodes"
+      postcodeZones: level.postcodes ? (parsePostcodeList(level.postcodes).zones || []) : null
+    }));
+    pickupCache = pickupWarehouses.map(warehouse => ({
+      ...warehouse,
+      postcodeZones: warehouse.pickup_postcodes ? (parsePostcodeList(warehouse.pickup_postcodes).zones || []) : null
+    }));
+    ratesCacheTimestamp = Date.now();
+    console.log(`Loaded ${rates.length} rates, ${weightBands.length} weight bands and ${distances.size} distance postcodes into cache`);
+    return rates;
+  } catch (error) {
+    console.error('Error loading rates cache:', error.message);
+    // Don't throw - keep the last-known rates, or fall back to the default rate if none were loaded
+    if (!ratesCache) {
+      ratesCache = [];
+      weightBandsCache = [];
+      distancePricingCache = new Map();
+      distancesCache = new Map();
+      serviceLevelsCache = [];
+      pickupCache = [];
+    }
+    ratesCacheTimestamp = Date.now();
+    return [];
+  }
+}
+
+/**
+ * Refresh rates cache if expired
+ * An expired cache keeps being served while it reloads in the background;
+ * only the first load is waited for
+ */
+async function ensureRatesFresh() {
+  if (ratesCache && ratesCacheTimestamp && (Date.now() - ratesCacheTimestamp <= CACHE_TTL)) {
+    return;
+  }
+  if (!ratesRefresh) {
+    ratesRefresh = loadRatesCache().finally(() => { ratesRefresh = null; });
+  }
+  if (!ratesCache) {
+    await ratesRefresh;
+  }
+}
+
+/**
+ * Build the resolved rate object returned to callers
+ */
+function toResolvedRate(rate, source) {
+  return {
+    rateId: rate ? rate.id : null,
+    priceCents: rate ? rate.price_cents : DEFAULT_RATE_CENTS,
+    serviceName: (rate && rate.service_name) || DEFAULT_SERVICE_NAME,
+    source
+  };
+}
+
+/**
+ * Resolve the rate for a matched zone
+ * Precedence: zone rate > longest matching prefix pattern > warehouse rate > default flat rate
+ * @param {Object} match - Zone match ({ zoneId, warehouseId })
+ * @param {string} postcode - Normalized 4-digit postcode
+ * @returns {Object} - { rateId, priceCents, serviceName, source }
+ */
+function resolveRate(match, postcode) {
+  const rates = (ratesCache || []).filter(rate => rate.warehouse_id === match.warehouseId);
+
+  const zoneRate = rates.find(rate => rate.zone_id && rate.zone_id === match.zoneId);
+  if (zoneRate) {
+    return toResolvedRate(zoneRate, 'zone');
+  }
+
+  let prefixRate = null;
+  for (const rate of rates) {
+    if (!rate.zone_id && rate.postcode_pattern && postcode.startsWith(rate.postcode_pattern)) {
+      if (!prefixRate || rate.postcode_pattern.length > prefixRate.postcode_pattern.length) {
+        prefixRate = rate;
+      }
+    }
+  }
+  if (prefixRate) {
+    return toResolvedRate(prefixRate, 'prefix');
+  }
+
+  const warehouseRate = rates.find(rate => !rate.zone_id && !rate.postcode_pattern);
+  if (warehouseRate) {
+    return toResolvedRate(warehouseRate, 'warehouse');
+  }
+
+  return toResolvedRate(null, 'default');
+}
+
+/**
+ * Look up the approximate distance from a warehouse to a postcode
+ * Prefers the row for the destination suburb, otherwise the nearest suburb in the postcode
+ */
+function findDistance(warehouseId, postcode, suburb) {
+  const entries = (distancesCache && distancesCache.get(`${warehouseId}:${postcode}`)) || [];
+  if (entries.length === 0) return null;
+
+  const wanted = suburb ? String(suburb).trim().toUpperCase() : null;
+  const exact = wanted && entries.find(entry => entry.suburb.toUpperCase() === wanted);
+  if (exact) return exact;
+
+  return entries.reduce((nearest, entry) => (entry.km < nearest.km ? entry : nearest));
+}
+
+/**
+ * Price a distance: base fee plus each bracket's per-km charge for the km travelled within it
+ */
+function priceDistance(km, pricing) {
+  let total = pricing.baseCents;
+  for (const bracket of pricing.brackets) {
+    const upper = bracket.maxKm === null ? km : Math.min(km, bracket.maxKm);
+    if (upper > bracket.minKm) {
+      total += (upper - bracket.minKm) * bracket.perKmCents;
+    }
+  }
+  return Math.round(total);
+}
+
+/**
+ * Resolve the rate for a zone whose warehouse uses distance pricing
+ * @param {Object} match - Zone match from findMatchingZone
+ * @param {string} postcode - Normalized 4-digit postcode
+ * @param {string} suburb - Destination suburb/city, used to pick the closest distance row
+ * @returns {Object|null} - Resolved rate, or null when the distance is unknown or beyond the cut-off
+ */
+function resolveDistanceRate(match, postcode, suburb) {
+  const pricing = distancePricingCache && distancePricingCache.get(match.warehouseId);
+  if (!pricing) return null;
+
+  const distance = findDistance(match.warehouseId, postcode, suburb);
+  if (!distance) return null;
+
+  if (pricing.maxKm !== null && distance.km > pricing.maxKm) {
+    return null;
+  }
+
+  return {
+    rateId: null,
+    priceCents: priceDistance(distance.km, pricing),
+    serviceName: match.rate.serviceName,
+    source: 'distance',
+    distanceKm: distance.km
+  };
+}
+
+/**
+ * Total shipped weight and unit count for carrier request items
+ * Items flagged requires_shipping: false (gift cards, digital) are ignored
+ */
+function summarizeCart(items) {
+  let totalGrams = 0;
+  let totalQuantity = 0;
+
+  for (const item of items || []) {
+    if (item.requires_shipping === false) continue;
+    const quantity = item.quantity || 1;
+    totalGrams += (item.grams || 0) * quantity;
+    totalQuantity += quantity;
+  }
+
+  return { totalGrams, totalQuantity };
+}
+
+/**
+ * Find the weight band for a cart weight
+ * Bands attached to the matched zone win over warehouse bands, which win over global bands
+ */
+function findWeightBand(match, totalGrams) {
+  const bands = weightBandsCache || [];
+  const scopes = [
+    bands.filter(band => band.zone_id && band.zone_id === match.zoneId),
+    bands.filter(band => !band.zone_id && band.warehouse_id === match.warehouseId),
+    bands.filter(band => !band.zone_id && !band.warehouse_id)
+  ];
+
+  // Use the most specific scope that defines any bands
+  const scoped = scopes.find(list => list.length > 0) || [];
+  return scoped.find(band =>
+    totalGrams >= band.min_grams && (band.max_grams === null || totalGrams < band.max_grams)
+  ) || null;
+}
+
+/**
+ * Apply the cart's weight band to a resolved rate
+ * @param {Object} rate - Resolved rate (rate table or distance)
+ * @param {Object} match - Zone match from findMatchingZone
+ * @param {Array} items - Carrier request line items
+ * @returns {Object} - Resolved rate with priceCents adjusted and weight details
+ */
+function applyWeightBands(rate, match, items) {
+  const { totalGrams, totalQuantity } = summarizeCart(items);
+  const band = findWeightBand(match, totalGrams);
+
+  if (!band) {
+    return { ...rate, totalGrams, weightBandId: null };
+  }
+
+  const surcharge = band.surcharge_cents + band.per_item_cents * totalQuantity;
+  return {
+    ...rate,
+    priceCents: rate.priceCents + surcharge,
+    totalGrams,
+    weightBandId: band.id
+  };
+}
+
+/**
+ * Calculate the delivery rate for a matched zone and cart
+ * Distance-priced warehouses use distance brackets, others use the rate table
+ * @param {Object} match - Zone match from findMatchingZone (with resolved rate)
+ * @param {Object} cart - { postcode, suburb, items }
+ * @returns {Object|null} - Final rate, or null when the INQUIRY rate should be returned
+ */
+function calculateRate(match, { postcode, suburb, items }) {
+  const baseRate = match.pricingMode === 'distance'
+    ? resolveDistanceRate(match, postcode, suburb)
+    : match.rate;
+
+  if (!baseRate) return null;
+
+  return applyWeightBands(baseRate, match, items);
+}
+
+/**
+ * Price a service level relative to the standard delivery price
+ */
+function priceServiceLevel(level, standardCents) {
+  switch (level.price_type) {
+    case 'fixed':
+      return level.price_value;
+    case 'percent':
+      return Math.round(standardCents * level.price_value / 100);
+    default:
+      return standardCents + level.price_value;
+  }
+}
+
+/**
+ * Build the additional service level rates for a matched zone
+ * @param {Object} match - Zone match from findMatchingZone
+ * @param {Object} deliveryRate - Standard rate from calculateRate
+ * @param {string} postcode - Normalized 4-digit postcode
+ * @returns {Array} - [{ serviceName, serviceCode, priceCents, description, leadTimeMinDays, leadTimeMaxDays }]
+ */
+function getServiceLevelRates(match, deliveryRate, postcode) {
+  return (serviceLevelsCache || [])
+    .filter(level => level.warehouse_id === match.warehouseId)
+    .filter(level => !level.postcodeZones || level.postcodeZones.some(zone => matchesZoneRow(postcode, zone)))
+    .map(level => ({
+      serviceName: level.name,
+      serviceCode: level.service_code,
+      priceCents: priceServiceLevel(level, deliveryRate.priceCents),
+      description: level.description || null,
+      leadTimeMinDays: level.lead_time_min_days ?? match.leadTimeMinDays,
+      leadTimeMaxDays: level.lead_time_min_days !== null && level.lead_time_min_days !== undefined
+        ? level.lead_time_max_days
+        : match.leadTimeMaxDays
+    }));
+}
+
+/**
+ * Click-and-collect options for a destination postcode
+ * Pickup is free and does not depend on zone coverage, so it is also offered
+ * alongside the inquiry rate
+ * @param {string} postcode - Normalized 4-digit postcode
+ * @returns {Promise<Array>} - [{ warehouseId, warehouseName, address, suburb, state, postcode, dispatchCutoff }]
+ */
+async function getPickupOptions(postcode) {
+  try {
+    await ensureRatesFresh();
+  } catch (error) {
+    console.warn('⚠️  Error ensuring rates cache fresh:', error.message);
+  }
+
+  return (pickupCache || [])
+    .filter(warehouse => !warehouse.postcodeZones ||
+      (postcode && warehouse.postcodeZones.some(zone => matchesZoneRow(postcode, zone))))
+    .map(warehouse => ({
+      warehouseId: warehouse.id,
+      warehouseName: warehouse.name,
+      address: warehouse.address,
+      suburb: warehouse.suburb,
+      state: warehouse.state,
+      postcode: warehouse.postcode,
+      dispatchCutoff: warehouse.dispatch_cutoff
+    }));
+}
+
+module.exports = {
+  DEFAULT_RATE_CENTS,
+  DEFAULT_SERVICE_NAME,
+  loadRatesCache,
+  ensureRatesFresh,
+  resolveRate,
+  resolveDistanceRate,
+  summarizeCart,
+  applyWeightBands,
+  calculateRate,
+  getServiceLevelRates,
+  getPickupOptions
+};
@@ -0,0 +1,181 @@
+/**
+ * Shipping rule service
+ * Evaluates the ordered free-shipping / promotion rules against a cart
+ * The first active rule whose conditions all hold is applied
+ * Uses in-memory cache for fast lookups
+ */
+
+const { query } = require('../db/config');
+const { parsePostcodeList, matchesZoneRow } = require('../utils/postcode');
+const { summarizeCart } = require('./rateService');
+const { getCartProductTags } = require('./shopifyService');
+
+const RULE_ACTIONS = ['free', 'discount', 'fixed'];
+
+// In-memory cache for rules
+let rulesCache = null;
+let rulesCacheTimestamp = null;
+let rulesRefresh = null; // In-flight background refresh
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Split a comma-separated list into trimmed, lowercased values (null when empty)
+ */
+function parseList(value) {
+  const list = String(value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+/**
+ * Load active rules from database into memory cache
+ * Handles database errors gracefully
+ */
+async function loadRulesCache() {
+  try {
+    const rules = await query(`
+      SELECT *
+      FROM shipping_rules
+      WHERE active = TRUE
+      ORDER BY sort_order, id
+    `);
+
+    rulesCache = rules.map(rule => ({
+      ...rule,
+      productTags: parseList(rule.product_tags),
+      productVendors: parseList(rule.product_vendors),
+      productCollections: parseList(rule.product_collections),
+      // Invalid lists are rejected by the admin API; treat leftovers as "no postcodes"
+      postcodeZones: rule.postcodes ? (parsePostcodeList(rule.postcodes).zones || []) : null,
+      startsAt: rule.starts_at ? new Date(rule.starts_at) : null,
+      endsAt: rule.ends_at ? new Date(rule.ends_at) : null
+    }));
+    rulesCacheTimestamp = Date.now();
+    console.log(`Loaded ${rules.length} shipping rules into cache`);
+    return rules;
+  } catch (error) {
+    console.error('Error loading shipping rules cache:', error.message);
+    // Don't throw - keep the last-known rules (carts are priced without rules if none were loaded)
+    if (!rulesCache) rulesCache = [];
+    rulesCacheTimestamp = Date.now();
+    return [];
+  }
+}
+
+/**
+ * Refresh rules cache if expired
+ * The expired rules stay in use until the background reload finishes
+ */
+async function ensureRulesFresh() {
+  if (rulesCache && rulesCacheTimestamp && (Date.now() - rulesCacheTimestamp <= CACHE_TTL)) {
+    return;
+  }
+  if (!rulesRefresh) {
+    rulesRefresh = loadRulesCache().finally(() => { rulesRefresh = null; });
+  }
+  if (!rulesCache) {
+    await rulesRefresh;
+  }
+}
+
+/**
+ * Cart totals used by rule conditions
+ */
+function summarizeRuleCart(items) {
+  let subtotalCents = 0;
+  const vendors = new Set();
+
+  for (const item of items || []) {
+    subtotalCents += (item.price || 0) * (item.quantity || 1);
+    if (item.vendor) vendors.add(String(item.vendor).trim().toLowerCase());
+  }
+
+  return { subtotalCents, totalGrams: summarizeCart(items).totalGrams, vendors };
+}
+
+/**
+ * Check every condition that needs no Shopify API call
+ * Ranges are min-inclusive, max-exclusive (same as weight bands)
+ */
+function matchesLocalConditions(rule, cart, { postcode, match, now }) {
+  if (rule.startsAt && now < rule.startsAt) return false;
+  if (rule.endsAt && now >= rule.endsAt) return false;
+
+  if (rule.min_subtotal_cents !== null && cart.subtotalCents < rule.min_subtotal_cents) return false;
+  if (rule.max_subtotal_cents !== null && cart.subtotalCents >= rule.max_subtotal_cents) return false;
+  if (rule.min_weight_grams !== null && cart.totalGrams < rule.min_weight_grams) return false;
+  if (rule.max_weight_grams !== null && cart.totalGrams >= rule.max_weight_grams) return false;
+
+  if (rule.productVendors && !rule.productVendors.some(vendor => cart.vendors.has(vendor))) return false;
+
+  if (rule.postcodeZones) {
+    if (!postcode || !rule.postcodeZones.some(zone => matchesZoneRow(postcode, zone))) return false;
+  }
+
+  if (rule.warehouse_id !== null && (!match || match.warehouseId !== rule.warehouse_id)) return false;
+
+  return true;
+}
+
+/**
+ * Find the first rule that applies to a carrier request
+ * discount/fixed rules only apply when there is a standard rate to reprice
+ * Product tags and collections are fetched from Shopify only when a rule needs them
+ * @param {Object} context - { items, postcode (normalized), match, hasDeliveryRate, now, budgetMs (tag lookup budget) }
+ * @returns {Promise<Object>} - {
+ *   rule: matching rule or null,
+ *   unresolvedProducts: number (products not fetched in time, treated as untagged and in no collection)
+ * }
+ */
+async function findApplicableRule({ items, postcode, match, hasDeliveryRate, now = new Date(), budgetMs }) {
+  try {
+    await ensureRulesFresh();
+  } catch (error) {
+    console.warn('⚠️  Error ensuring shipping rules cache fresh:', error.message);
+  }
+
+  const rules = rulesCache || [];
+  const cart = summarizeRuleCart(items);
+  // One lookup serves every rule; collections only when some rule needs them
+  const includeCollections = rules.some(rule => rule.productCollections);
+  let cartProducts = null;
+
+  for (const rule of rules) {
+    if (rule.action !== 'free' && !hasDeliveryRate) continue;
+    if (!matchesLocalConditions(rule, cart, { postcode, match, now })) continue;
+
+    if (rule.productTags || rule.productCollections) {
+      if (!cartProducts) cartProducts = await getCartProductTags(items, { includeCollections, budgetMs });
+      if (rule.productTags && !rule.productTags.some(tag => cartProducts.tags.has(tag))) continue;
+      if (rule.productCollections &&
+          !rule.productCollections.some(handle => cartProducts.collections.has(handle))) continue;
+    }
+
+    return { rule, unresolvedProducts: cartProducts ? cartProducts.unresolvedProducts : 0 };
+  }
+
+  return { rule: null, unresolvedProducts: cartProducts ? cartProducts.unresolvedProducts : 0 };
+}
+
+/**
+ * Apply a discount or fixed-price rule to a price in cents
+ */
+function applyRuleAction(rule, priceCents) {
+  switch (rule.action) {
+    case 'free':
+      return 0;
+    case 'fixed':
+      return rule.action_value || 0;
+    case 'discount':
+      return Math.max(0, Math.round(priceCents * (100 - (rule.action_value || 0)) / 100));
+    default:
+      return priceCents;
+  }
+}
+
+module.exports = {
+  RULE_ACTIONS,
+  loadRulesCache,
+  ensureRulesFresh,
+  findApplicableRule,
+  applyRuleAction
+};
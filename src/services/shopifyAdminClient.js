@@ -0,0 +1,338 @@
+/**
+ * Shopify Admin API client
+ * Every REST and GraphQL Admin API call goes through here, so they all share:
+ * - Rate limits: REST calls track the X-Shopify-Shop-Api-Call-Limit leaky bucket
+ *   and GraphQL calls the query-cost bucket, waiting for capacity before a call
+ *   rather than being rejected; 429s and THROTTLED errors wait out Retry-After
+ * - Retries with exponential backoff and jitter on 5xx, timeouts and network
+ *   errors. Non-idempotent calls (REST POST, GraphQL mutations) are only retried
+ *   when Shopify can't have acted on them (429, throttled, connection refused)
+ * - Per-attempt timeouts and an optional overall deadline (epoch ms) that bounds
+ *   waits and retries, for callers with a latency budget
+ * - Typed errors carrying the HTTP status, response body, Shopify X-Request-Id
+ *   and whether retrying later could succeed (`retryable`)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { getAdminApiUrl, getAdminHeaders } = require('../config/shopify');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 8000;
+const DEFAULT_RETRY_AFTER_MS = 2000;
+
+// REST bucket: start waiting when fewer than this many calls are free.
+// Buckets leak at a twentieth of their size per second (40 -> 2/s, Plus 400 -> 20/s)
+const REST_BUCKET_HEADROOM = 4;
+// GraphQL bucket: start waiting below this many cost points
+const GRAPHQL_MIN_AVAILABLE = 100;
+
+// Network errors raised before the request reached Shopify - safe to retry any call
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+const restBucket = { used: 0, max: 40, updatedAt: 0 };
+const graphqlBucket = { available: null, max: 1000, restoreRate: 50, updatedAt: 0 };
+
+/**
+ * Base class for Admin API failures
+ * `response` ({ status, data }) mirrors axios errors for callers that read error.response
+ */
+class ShopifyApiError extends Error {
+  constructor(message, { method, path, status = null, data = null, requestId = null, retryable = false, code = null } = {}) {
+    super(requestId ? `${message} (request ID ${requestId})` : message);
+    this.name = 'ShopifyApiError';
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.data = data;
+    this.requestId = requestId;
+    this.retryable = retryable;
+    this.code = code;
+    if (status) {
+      this.response = { status, data };
+    }
+  }
+}
+
+/** 429, or a THROTTLED GraphQL query, still limited after the last retry */
+class ShopifyRateLimitError extends ShopifyApiError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: true });
+    this.name = 'ShopifyRateLimitError';
+    this.retryAfterMs = details.retryAfterMs;
+  }
+}
+
+/** No response within the timeout (or the caller's deadline) */
+class ShopifyTimeoutError extends ShopifyApiError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: true });
+    this.name = 'ShopifyTimeoutError';
+  }
+}
+
+/** GraphQL `errors` in an otherwise successful response */
+class ShopifyGraphqlError extends ShopifyApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ShopifyGraphqlError';
+    this.errors = details.errors || [];
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Full jitter: a random delay up to the exponential backoff for this attempt
+ */
+function getBackoffMs(attempt) {
+  return Math.round(Math.random() * Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS));
+}
+
+function parseRetryAfter(value) {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.ceil(seconds * 1000) : DEFAULT_RETRY_AFTER_MS;
+}
+
+function describeErrors(data) {
+  if (!data) return '';
+  const errors = data.errors ?? data.error ?? data;
+  if (typeof errors === 'string') return errors;
+  return Object.keys(errors).length > 0 ? JSON.stringify(errors) : '';
+}
+
+/**
+ * Record the REST bucket from X-Shopify-Shop-Api-Call-Limit (e.g. "32/40")
+ */
+function updateRestBucket(headers) {
+  const match = /^(\d+)\/(\d+)$/.exec(headers?.['x-shopify-shop-api-call-limit'] || '');
+  if (!match) return;
+  restBucket.used = parseInt(match[1], 10);
+  restBucket.max = parseInt(match[2], 10);
+  restBucket.updatedAt = Date.now();
+}
+
+/**
+ * How long to wait before the next REST call so the bucket keeps some headroom
+ */
+function getRestWaitMs() {
+  const leakPerSecond = restBucket.max / 20;
+  const used = Math.max(restBucket.used - ((Date.now() - restBucket.updatedAt) / 1000) * leakPerSecond, 0);
+  const excess = used - (restBucket.max - REST_BUCKET_HEADROOM);
+  return excess > 0 ? Math.ceil((excess / leakPerSecond) * 1000) : 0;
+}
+
+/**
+ * Record the GraphQL cost bucket from extensions.cost.throttleStatus
+ */
+function updateGraphqlBucket(cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+  graphqlBucket.available = status.currentlyAvailable;
+  graphqlBucket.max = status.maximumAvailable;
+  graphqlBucket.restoreRate = status.restoreRate;
+  graphqlBucket.updatedAt = Date.now();
+}
+
+function getGraphqlWaitMs() {
+  if (graphqlBucket.available === null) return 0;
+  const available = Math.min(
+    graphqlBucket.available + ((Date.now() - graphqlBucket.updatedAt) / 1000) * graphqlBucket.restoreRate,
+    graphqlBucket.max
+  );
+  const shortfall = Math.min(GRAPHQL_MIN_AVAILABLE, graphqlBucket.max) - available;
+  return shortfall > 0 ? Math.ceil((shortfall / graphqlBucket.restoreRate) * 1000) : 0;
+}
+
+/**
+ * Turn an axios error into a typed error, with how long to wait before retrying
+ * and whether a retry is safe for this call
+ */
+function toApiError(error, { method, path, idempotent }) {
+  const response = error.response;
+  const details = { method, path, code: error.code || null };
+
+  if (response) {
+    updateRestBucket(response.headers);
+    const status = response.status;
+    const requestId = response.headers?.['x-request-id'] || null;
+    const description = describeErrors(response.data);
+    const message = `Shopify API ${status} on ${method} ${path}${description ? `: ${description}` : ''}`;
+
+    if (status === 429) {
+      const retryAfterMs = parseRetryAfter(response.headers?.['retry-after']);
+      return {
+        error: new ShopifyRateLimitError(message, { ...details, status, data: response.data, requestId, retryAfterMs }),
+        retryAfterMs,
+        safeToRetry: true
+      };
+    }
+
+    const retryable = status >= 500 || status === 408;
+    return {
+      error: new ShopifyApiError(message, { ...details, status, data: response.data, requestId, retryable }),
+      retryAfterMs: null,
+      safeToRetry: retryable && idempotent
+    };
+  }
+
+  if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+    return {
+      error: new ShopifyTimeoutError(`Shopify API timeout on ${method} ${path}`, details),
+      retryAfterMs: null,
+      safeToRetry: idempotent
+    };
+  }
+
+  const beforeSend = CONNECT_ERROR_CODES.includes(error.code);
+  return {
+    error: new ShopifyApiError(`Shopify API request failed on ${method} ${path}: ${error.message}`, { ...details, retryable: true }),
+    retryAfterMs: null,
+    safeToRetry: beforeSend || idempotent
+  };
+}
+
+/**
+ * Run attempt() with rate-limit waits and retries
+ * @param {Object} call - { method, path, timeoutMs, maxRetries, deadline, getCapacityWaitMs }
+ * @param {Function} attempt - (timeoutMs) => { value } on success or { failure: { error, retryAfterMs, safeToRetry } }
+ */
+async function withRetries(call, attempt) {
+  const { method, path, timeoutMs, maxRetries, deadline, getCapacityWaitMs } = call;
+  const clientRequestId = crypto.randomBytes(4).toString('hex');
+  const timeLeft = () => (deadline ? deadline - Date.now() : Infinity);
+
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    const capacityWaitMs = getCapacityWaitMs();
+    if (capacityWaitMs > 0 && capacityWaitMs < timeLeft()) {
+      console.log(`⏳ [shopify ${clientRequestId}] ${method} ${path} waiting ${capacityWaitMs}ms for API rate limit capacity`);
+      await sleep(capacityWaitMs);
+    }
+
+    const attemptTimeoutMs = Math.min(timeoutMs, timeLeft());
+    if (attemptTimeoutMs <= 0) {
+      throw new ShopifyTimeoutError(`Shopify API deadline passed before ${method} ${path}`, { method, path });
+    }
+
+    const outcome = await attempt(attemptTimeoutMs);
+    if (!outcome.failure) {
+      return outcome.value;
+    }
+
+    const { error, retryAfterMs, safeToRetry } = outcome.failure;
+    const delayMs = retryAfterMs !== null ? retryAfterMs + getBackoffMs(0) : getBackoffMs(attemptNumber);
+    if (!safeToRetry || attemptNumber >= maxRetries || delayMs >= timeLeft()) {
+      throw error;
+    }
+
+    console.warn(`⚠️  [shopify ${clientRequestId}] ${error.message} - retry ${attemptNumber + 1}/${maxRetries} in ${delayMs}ms`);
+    await sleep(delayMs);
+  }
+}
+
+/**
+ * REST Admin API request
+ * @param {Object} options - { method, path (e.g. '/draft_orders.json'), data, params,
+ *   timeoutMs, maxRetries, deadline, idempotent (default: every method but POST) }
+ * @returns {Promise<Object>} - Response body
+ */
+async function request({
+  method = 'GET',
+  path,
+  data,
+  params,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  deadline = null,
+  idempotent = method.toUpperCase() !== 'POST'
+}) {
+  method = method.toUpperCase();
+  const url = `${getAdminApiUrl()}${path}`;
+  const headers = getAdminHeaders();
+  const call = { method, path, timeoutMs, maxRetries, deadline, getCapacityWaitMs: getRestWaitMs };
+
+  return withRetries(call, async attemptTimeoutMs => {
+    restBucket.used++; // until the response header says otherwise
+    try {
+      const response = await axios.request({ method, url, data, params, headers, timeout: attemptTimeoutMs });
+      updateRestBucket(response.headers);
+      return { value: response.data };
+    } catch (error) {
+      return { failure: toApiError(error, { method, path, idempotent }) };
+    }
+  });
+}
+
+/**
+ * GraphQL Admin API request
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - Query variables
+ * @param {Object} options - { timeoutMs, maxRetries, deadline }
+ * @returns {Promise<Object>} - The response's `data`
+ */
+async function graphql(query, variables = {}, { timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES, deadline = null } = {}) {
+  const method = 'POST';
+  const path = '/graphql.json';
+  const url = `${getAdminApiUrl()}${path}`;
+  const headers = getAdminHeaders();
+  const idempotent = !/^\s*mutation\b/.test(query);
+  const call = { method, path, timeoutMs, maxRetries, deadline, getCapacityWaitMs: getGraphqlWaitMs };
+
+  return withRetries(call, async attemptTimeoutMs => {
+    let response;
+    try {
+      response = await axios.request({ method, url, data: { query, variables }, headers, timeout: attemptTimeoutMs });
+    } catch (error) {
+      return { failure: toApiError(error, { method, path, idempotent }) };
+    }
+
+    const cost = response.data?.extensions?.cost;
+    updateGraphqlBucket(cost);
+
+    const errors = response.data?.errors || [];
+    if (errors.length === 0) {
+      return { value: response.data.data };
+    }
+
+    const requestId = response.headers?.['x-request-id'] || null;
+    const message = `Shopify GraphQL error: ${errors.map(error => error.message).join('; ')}`;
+    if (errors.some(error => error.extensions?.code === 'THROTTLED')) {
+      // Throttled queries are rejected before running - wait until the bucket refills enough
+      const needed = Math.max(cost?.requestedQueryCost || 0, GRAPHQL_MIN_AVAILABLE) - (cost?.throttleStatus?.currentlyAvailable || 0);
+      const retryAfterMs = Math.max(Math.ceil((needed / (cost?.throttleStatus?.restoreRate || graphqlBucket.restoreRate)) * 1000), 0);
+      return {
+        failure: {
+          error: new ShopifyRateLimitError(message, { method, path, status: response.status, data: response.data, requestId, retryAfterMs }),
+          retryAfterMs,
+          safeToRetry: true
+        }
+      };
+    }
+
+    return {
+      failure: {
+        error: new ShopifyGraphqlError(message, { method, path, status: response.status, data: response.data, requestId, errors }),
+        retryAfterMs: null,
+        safeToRetry: false
+      }
+    };
+  });
+}
+
+module.exports = {
+  request,
+  get: (path, options = {}) => request({ ...options, method: 'GET', path }),
+  post: (path, data, options = {}) => request({ ...options, method: 'POST', path, data }),
+  put: (path, data, options = {}) => request({ ...options, method: 'PUT', path, data }),
+  delete: (path, options = {}) => request({ ...options, method: 'DELETE', path }),
+  graphql,
+  ShopifyApiError,
+  ShopifyRateLimitError,
+  ShopifyTimeoutError,
+  ShopifyGraphqlError
+};
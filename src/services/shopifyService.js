@@ -1,74 +1,39 @@
 /**
  * Shopify Admin API service
  * Handles draft order creation and carrier service registration
+ * Calls go through shopifyAdminClient (rate limits, retries, typed errors)
  */
 
-const axios = require('axios');
-const { getAdminApiUrl, getAdminHeaders } = require('../config/shopify');
-
-const PRODUCT_TAG_CACHE_TTL_MS = 15 * 60 * 1000;
-const productTagCache = new Map();
-
-function parseProductTags(tagsString) {
-  if (!tagsString) return [];
-  return tagsString.split(',').map(tag => tag.trim()).filter(Boolean);
-}
-
-/**
- * Fetch product tags from Shopify Admin API (cached).
- * Carrier service callbacks include product_id but not tags.
- */
-async function getProductTags(productId) {
-  const cached = productTagCache.get(productId);
-  if (cached && cached.expiresAt > Date.now()) {
-    return cached.tags;
-  }
-
-  const apiUrl = getAdminApiUrl();
-  const headers = getAdminHeaders();
-
-  const response = await axios.get(
-    `${apiUrl}/products/${productId}.json?fields=id,tags`,
-    { headers, timeout: 5000 }
-  );
-
-  const tags = parseProductTags(response.data?.product?.tags);
-  productTagCache.set(productId, {
-    tags,
-    expiresAt: Date.now() + PRODUCT_TAG_CACHE_TTL_MS
-  });
-
-  return tags;
-}
+const shopifyAdmin = require('./shopifyAdminClient');
+const { getProductsData } = require('./productDataService');
 
 /**
- * Returns true when any cart line item's product has the configured luxury tag.
+ * Collect the tags (and optionally collection handles) of every product in the cart (lowercased).
+ * All products are fetched in one batched lookup.
+ * @param {Object} options - { includeCollections, budgetMs } (lookup latency budget, defaults to PRODUCT_LOOKUP_BUDGET_MS)
+ * @returns {Promise<Object>} - { tags: Set, collections: Set, unresolvedProducts: number (not fetched in time) }
  */
-async function cartHasLuxuryTag(items) {
-  const luxuryTag = (process.env.LUXURY_FREE_SHIPPING_TAG || 'luxury').toLowerCase();
-  const productIds = [...new Set(
-    (items || [])
-      .map(item => item.product_id)
-      .filter(Boolean)
-  )];
+async function getCartProductTags(items, { includeCollections = false, budgetMs } = {}) {
+  const productIds = [...new Set((items || []).map(item => item.product_id).filter(Boolean).map(String))];
 
+  const cartTags = new Set();
+  const cartCollections = new Set();
   if (productIds.length === 0) {
-    console.warn('Luxury check skipped: no product_id values in carrier request items');
-    return false;
+    console.warn('Tag lookup skipped: no product_id values in carrier request items');
+    return { tags: cartTags, collections: cartCollections, unresolvedProducts: 0 };
   }
 
-  for (const productId of productIds) {
-    try {
-      const tags = await getProductTags(productId);
-      if (tags.some(tag => tag.toLowerCase() === luxuryTag)) {
-        return true;
-      }
-    } catch (error) {
-      console.error(`Failed to fetch tags for product ${productId}:`, error.response?.data || error.message);
-    }
+  const products = await getProductsData(productIds, { includeCollections, budgetMs });
+  for (const product of products.values()) {
+    product.tags.forEach(tag => cartTags.add(tag.toLowerCase()));
+    (product.collections || []).forEach(handle => cartCollections.add(handle.toLowerCase()));
   }
 
-  return false;
+  return {
+    tags: cartTags,
+    collections: cartCollections,
+    unresolvedProducts: productIds.filter(productId => !products.has(productId)).length
+  };
 }
 
 /**
@@ -78,9 +43,6 @@ async function cartHasLuxuryTag(items) {
  */
 async function createDraftOrder(orderData) {
   try {
-    const apiUrl = getAdminApiUrl();
-    const headers = getAdminHeaders();
-    
     // Extract customer info from carrier request
     const customer = orderData.customer || {};
     const items = orderData.items || [];
@@ -116,12 +78,19 @@ async function createDraftOrder(orderData) {
     });
     
     // Build line items for draft order
-    const lineItems = items.map(item => ({
-      title: item.name || item.title || 'Product',
-      quantity: item.quantity || 1,
-      price: item.price ? String(item.price / 100) : '0.00', // Shopify expects decimal string
-      grams: item.grams || 0
-    }));
+    // Real variants keep the product link (inventory, images); anything else becomes a custom line
+    const lineItems = items.map(item => (item.variant_id
+      ? {
+        variant_id: item.variant_id,
+        quantity: item.quantity || 1
+      }
+      : {
+        title: item.name || item.title || 'Product',
+        quantity: item.quantity || 1,
+        price: item.price ? String(item.price / 100) : '0.00', // Shopify expects decimal string
+        grams: item.grams || 0,
+        requires_shipping: item.requires_shipping !== false
+      }));
 
     // Build shipping address
     const shippingAddress = {
@@ -143,7 +112,7 @@ async function createDraftOrder(orderData) {
       draft_order: {
         line_items: lineItems,
         shipping_address: shippingAddress,
-        note: `📍 SHIPPING INQUIRY - Out of Zone\n\nPostcode: ${postcode}\nCustomer: ${firstName} ${lastName}\nPhone: ${phone || 'Not provided'}\nAddress: ${shippingAddress.address1}, ${shippingAddress.city}, ${shippingAddress.province} ${postcode}\n\n⚠️ This order requires manual shipping quote. Checkout was blocked - customer is waiting for contact.`,
+        note: `📍 SHIPPING INQUIRY - Out of Zone\n\nPostcode: ${postcode}\nCustomer: ${firstName} ${lastName}\nPhone: ${phone || 'Not provided'}\nAddress: ${shippingAddress.address1}, ${shippingAddress.city}, ${shippingAddress.province} ${postcode}\n${orderData.reason ? `Reason: ${orderData.reason}\n` : ''}\n⚠️ This order requires manual shipping quote. Checkout was blocked - customer is waiting for contact.`,
         tags: 'shipping-inquiry,manual-quote,checkout-blocked'
       }
     };
@@ -161,21 +130,66 @@ async function createDraftOrder(orderData) {
     // Also set billing address same as shipping
     draftOrderPayload.draft_order.billing_address = shippingAddress;
     
-    const response = await axios.post(
-      `${apiUrl}/draft_orders.json`,
-      draftOrderPayload,
-      { headers }
-    );
+    const data = await shopifyAdmin.post('/draft_orders.json', draftOrderPayload);
     
-    console.log('✅ Draft order created:', response.data.draft_order?.id);
-    return response.data.draft_order;
+    console.log('✅ Draft order created:', data.draft_order?.id);
+    return data.draft_order;
+  } catch (error) {
+    // The message includes Shopify's errors and X-Request-Id for debugging
+    console.error('Error creating draft order:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Set a draft order's shipping line
+ * @param {string|number} draftOrderId - Draft order ID
+ * @param {Object} shipping - { title, priceCents }
+ * @returns {Promise<Object>} - Updated draft order
+ */
+async function updateDraftOrderShipping(draftOrderId, { title, priceCents }) {
+  try {
+    const payload = {
+      draft_order: {
+        id: draftOrderId,
+        shipping_line: {
+          custom: true,
+          title,
+          price: (priceCents / 100).toFixed(2) // Shopify expects decimal string
+        }
+      }
+    };
+
+    const data = await shopifyAdmin.put(`/draft_orders/${draftOrderId}.json`, payload);
+
+    return data.draft_order;
+  } catch (error) {
+    console.error('Error updating draft order shipping:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Email the draft order invoice (checkout link) to the customer
+ * @param {string|number} draftOrderId - Draft order ID
+ * @param {Object} invoice - { to, subject, customMessage } (all optional; Shopify defaults to the draft's customer email)
+ * @returns {Promise<Object>} - Draft order invoice
+ */
+async function sendDraftOrderInvoice(draftOrderId, { to, subject, customMessage } = {}) {
+  try {
+    const invoice = {};
+    if (to) invoice.to = to;
+    if (subject) invoice.subject = subject;
+    if (customMessage) invoice.custom_message = customMessage;
+
+    const data = await shopifyAdmin.post(`/draft_orders/${draftOrderId}/send_invoice.json`, { draft_order_invoice: invoice });
+
+    return data.draft_order_invoice;
   } catch (error) {
-    // Log detailed error for debugging
-    if (error.response?.data) {
-      console.error('Error creating draft order:', JSON.stringify(error.response.data, null, 2));
-    } else {
-      console.error('Error creating draft order:', error.message);
+    if (error.status === 422 && error.data?.errors) {
+      throw new Error(`Sending draft order invoice failed: ${JSON.stringify(error.data.errors)}`);
     }
+    console.error('Error sending draft order invoice:', error.message);
     throw error;
   }
 }
@@ -187,9 +201,6 @@ async function createDraftOrder(orderData) {
  */
 async function registerCarrierService(callbackUrl) {
   try {
-    const apiUrl = getAdminApiUrl();
-    const headers = getAdminHeaders();
-    
     const payload = {
       carrier_service: {
         name: 'Harbour Lane Delivery',
@@ -198,19 +209,15 @@ async function registerCarrierService(callbackUrl) {
       }
     };
     
-    const response = await axios.post(
-      `${apiUrl}/carrier_services.json`,
-      payload,
-      { headers }
-    );
+    const data = await shopifyAdmin.post('/carrier_services.json', payload);
     
-    return response.data.carrier_service;
+    return data.carrier_service;
   } catch (error) {
-    if (error.response?.status === 422 && error.response?.data?.errors) {
+    if (error.status === 422 && error.data?.errors) {
       // Carrier service might already exist
-      throw new Error(`Carrier service registration failed: ${JSON.stringify(error.response.data.errors)}`);
+      throw new Error(`Carrier service registration failed: ${JSON.stringify(error.data.errors)}`);
     }
-    console.error('Error registering carrier service:', error.response?.data || error.message);
+    console.error('Error registering carrier service:', error.message);
     throw error;
   }
 }
@@ -220,17 +227,11 @@ async function registerCarrierService(callbackUrl) {
  */
 async function getCarrierServices() {
   try {
-    const apiUrl = getAdminApiUrl();
-    const headers = getAdminHeaders();
-    
-    const response = await axios.get(
-      `${apiUrl}/carrier_services.json`,
-      { headers }
-    );
+    const data = await shopifyAdmin.get('/carrier_services.json');
     
-    return response.data.carrier_services;
+    return data.carrier_services;
   } catch (error) {
-    console.error('Error fetching carrier services:', error.response?.data || error.message);
+    console.error('Error fetching carrier services:', error.message);
     throw error;
   }
 }
@@ -243,9 +244,6 @@ async function getCarrierServices() {
  */
 async function updateCarrierService(carrierServiceId, callbackUrl) {
   try {
-    const apiUrl = getAdminApiUrl();
-    const headers = getAdminHeaders();
-    
     const payload = {
       carrier_service: {
         id: carrierServiceId,
@@ -254,25 +252,92 @@ async function updateCarrierService(carrierServiceId, callbackUrl) {
       }
     };
     
-    const response = await axios.put(
-      `${apiUrl}/carrier_services/${carrierServiceId}.json`,
-      payload,
-      { headers }
-    );
+    const data = await shopifyAdmin.put(`/carrier_services/${carrierServiceId}.json`, payload);
     
-    return response.data.carrier_service;
+    return data.carrier_service;
+  } catch (error) {
+    console.error('Error updating carrier service:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get all webhook subscriptions for this app
+ * @returns {Promise<Array>} - Webhook subscriptions ({ id, topic, address, format })
+ */
+async function getWebhookSubscriptions() {
+  try {
+    const data = await shopifyAdmin.get('/webhooks.json');
+
+    return data.webhooks;
+  } catch (error) {
+    console.error('Error fetching webhook subscriptions:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to a webhook topic
+ * @param {string} topic - Webhook topic (e.g. 'orders/create')
+ * @param {string} address - Public HTTPS URL receiving the webhook
+ * @returns {Promise<Object>} - Created webhook subscription
+ */
+async function registerWebhookSubscription(topic, address) {
+  try {
+    const payload = {
+      webhook: {
+        topic,
+        address,
+        format: 'json'
+      }
+    };
+
+    const data = await shopifyAdmin.post('/webhooks.json', payload);
+
+    return data.webhook;
+  } catch (error) {
+    if (error.status === 422 && error.data?.errors) {
+      throw new Error(`Webhook registration for ${topic} failed: ${JSON.stringify(error.data.errors)}`);
+    }
+    console.error(`Error registering ${topic} webhook:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Point an existing webhook subscription at a new address
+ * @param {string|number} webhookId - Webhook subscription ID
+ * @param {string} address - New public HTTPS URL
+ * @returns {Promise<Object>} - Updated webhook subscription
+ */
+async function updateWebhookSubscription(webhookId, address) {
+  try {
+    const payload = {
+      webhook: {
+        id: webhookId,
+        address
+      }
+    };
+
+    const data = await shopifyAdmin.put(`/webhooks/${webhookId}.json`, payload);
+
+    return data.webhook;
   } catch (error) {
-    console.error('Error updating carrier service:', error.response?.data || error.message);
+    console.error('Error updating webhook subscription:', error.message);
     throw error;
   }
 }
 
 module.exports = {
   createDraftOrder,
+  updateDraftOrderShipping,
+  sendDraftOrderInvoice,
   registerCarrierService,
   getCarrierServices,
   updateCarrierService,
-  getProductTags,
-  cartHasLuxuryTag
+  getWebhookSubscriptions,
+  registerWebhookSubscription,
+  updateWebhookSubscription,
+  getCartProductTags
 };
 
@@ -0,0 +1,159 @@
+/**
+ * Webhook service
+ * Records Shopify webhook deliveries, deduplicates them by X-Shopify-Webhook-Id
+ * and dispatches each topic to its handler
+ *
+ * Shopify retries a failed delivery with the same webhook ID, so failed
+ * deliveries are processed again while processed ones are acknowledged
+ * without running the handler twice
+ */
+
+const { query } = require('../db/config');
+const { saveProductsData, removeProductsData, clearProductsData, parseProductTags } = require('./productDataService');
+const { syncInquiryFromDraftOrder, linkOrderToInquiry } = require('./inquiryService');
+
+// A 'received' delivery younger than this is assumed to still be in progress
+const IN_PROGRESS_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * products/update - refresh cached tags, type and vendor from the payload
+ * Metafields and collections aren't in the payload - they are cleared and refetched on demand
+ */
+async function handleProductUpdate(product) {
+  await saveProductsData(new Map([[String(product.id), {
+    tags: parseProductTags(product.tags),
+    productType: product.product_type || null,
+    vendor: product.vendor || null,
+    metafields: null,
+    collections: null
+  }]]));
+  console.log(`🔄 Product cache updated for product ${product.id}`);
+}
+
+/**
+ * products/delete - drop the product from the cache
+ */
+async function handleProductDelete(product) {
+  await removeProductsData([product.id]);
+  console.log(`🗑️  Product ${product.id} removed from product cache`);
+}
+
+/**
+ * orders/create - link the order to the inquiry it resolves
+ */
+async function handleOrderCreate(order) {
+  const inquiry = await linkOrderToInquiry(order);
+  if (inquiry) {
+    console.log(`🔗 Order ${order.name || order.id} linked to inquiry #${inquiry.id} (status: ${inquiry.status})`);
+  }
+}
+
+/**
+ * draft_orders/update - keep the inquiry in step with its draft order
+ */
+async function handleDraftOrderUpdate(draftOrder) {
+  const inquiry = await syncInquiryFromDraftOrder(draftOrder);
+  if (inquiry) {
+    console.log(`📝 Draft order ${draftOrder.name || draftOrder.id} (${draftOrder.status}) synced to inquiry #${inquiry.id} (status: ${inquiry.status})`);
+  }
+}
+
+/**
+ * app/uninstalled - the access token is revoked; clear data we can no longer keep current
+ */
+async function handleAppUninstalled(shop, { shopDomain }) {
+  await clearProductsData();
+  console.warn(`⚠️  App uninstalled from ${shopDomain || shop.domain || 'shop'} - product cache cleared. ` +
+    'Reinstall, update SHOPIFY_ACCESS_TOKEN and run npm run register-carrier and npm run register-webhooks.');
+}
+
+// Topic -> handler(payload, context). Handlers throw to fail the delivery (Shopify retries)
+const WEBHOOK_HANDLERS = {
+  'orders/create': handleOrderCreate,
+  'draft_orders/update': handleDraftOrderUpdate,
+  'products/update': handleProductUpdate,
+  'products/delete': handleProductDelete,
+  'app/uninstalled': handleAppUninstalled
+};
+
+const WEBHOOK_TOPICS = Object.keys(WEBHOOK_HANDLERS);
+
+/**
+ * Record a delivery, or claim a previous delivery of the same webhook for reprocessing
+ * @returns {Promise<Object>} - { deliveryId, duplicate: 'processed'|'in_progress'|null }
+ */
+async function claimDelivery({ webhookId, topic, shopDomain, resourceId }) {
+  try {
+    const result = await query(`
+      INSERT INTO webhook_deliveries (webhook_id, topic, shop_domain, resource_id)
+      VALUES (?, ?, ?, ?)
+    `, [webhookId, topic, shopDomain || null, resourceId || null]);
+    return { deliveryId: result.insertId, duplicate: null };
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+  }
+
+  const deliveries = await query('SELECT * FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+  const delivery = deliveries[0];
+
+  if (delivery.status === 'processed' || delivery.status === 'ignored') {
+    return { deliveryId: delivery.id, duplicate: 'processed' };
+  }
+
+  // Claim atomically so concurrent retries don't both run the handler
+  const staleBefore = new Date(Date.now() - IN_PROGRESS_TIMEOUT_MS);
+  const claimed = await query(`
+    UPDATE webhook_deliveries
+    SET status = 'received', attempts = attempts + 1, error = NULL, received_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND (status = 'failed' OR (status = 'received' AND received_at < ?))
+  `, [delivery.id, staleBefore]);
+
+  return {
+    deliveryId: delivery.id,
+    duplicate: claimed.affectedRows > 0 ? null : 'in_progress'
+  };
+}
+
+async function finishDelivery(deliveryId, status, errorMessage = null) {
+  await query(`
+    UPDATE webhook_deliveries SET status = ?, error = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?
+  `, [status, errorMessage, deliveryId]);
+}
+
+/**
+ * Record and process one webhook delivery
+ * @param {Object} delivery - { topic, webhookId, shopDomain, payload }
+ * @returns {Promise<Object>} - { status: 'processed'|'ignored'|'duplicate'|'in_progress', deliveryId }
+ *   Throws when the handler fails (the delivery is recorded as failed)
+ */
+async function processWebhook({ topic, webhookId, shopDomain, payload }) {
+  const handler = WEBHOOK_HANDLERS[topic];
+  const resourceId = payload?.id != null ? String(payload.id) : null;
+
+  const { deliveryId, duplicate } = await claimDelivery({ webhookId, topic, shopDomain, resourceId });
+  if (duplicate === 'processed') {
+    return { status: 'duplicate', deliveryId };
+  }
+  if (duplicate === 'in_progress') {
+    return { status: 'in_progress', deliveryId };
+  }
+
+  if (!handler) {
+    await finishDelivery(deliveryId, 'ignored');
+    return { status: 'ignored', deliveryId };
+  }
+
+  try {
+    await handler(payload || {}, { topic, webhookId, shopDomain });
+    await finishDelivery(deliveryId, 'processed');
+    return { status: 'processed', deliveryId };
+  } catch (error) {
+    await finishDelivery(deliveryId, 'failed', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  WEBHOOK_TOPICS,
+  processWebhook
+};
@@ -0,0 +1,251 @@
+/**
+ * Zone import/export service
+ * Validates bulk zone rows, diffs them against a warehouse's zones
+ * and applies the result in a single transaction
+ */
+
+const { query, pool } = require('../db/config');
+const { normalizeZoneDefinition, getZoneType } = require('../utils/postcode');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+// Same columns as public/zones_import_final.csv; the import also accepts the
+// extended format, which adds range_end/exclude for range and exclusion zones
+const ZONE_CSV_COLUMNS = ['warehouse_id', 'postcode', 'prefix', 'note'];
+const EXTENDED_ZONE_CSV_COLUMNS = [...ZONE_CSV_COLUMNS, 'range_end', 'exclude'];
+const IMPORT_MODES = ['merge', 'replace'];
+
+/**
+ * Parse a boolean-ish CSV/JSON value ("1", "true", "yes", true)
+ */
+function parseFlag(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value === 1;
+  return ['1', 'true', 'yes', 'y'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Key identifying a zone within a warehouse (prefix patterns are stored without '*')
+ */
+function zoneKey(zone) {
+  const type = getZoneType(zone);
+  const value = type === 'range' ? `${zone.postcode}-${zone.range_end}` : zone.postcode;
+  return `${zone.exclude ? 'exclude:' : ''}${type}:${value}`;
+}
+
+/**
+ * Key for a stored zone row (older rows may keep the '*' in prefix patterns)
+ */
+function storedZoneKey(zone) {
+  return zoneKey({
+    ...zone,
+    postcode: zone.prefix ? zone.postcode.replace(/\*/g, '') : zone.postcode
+  });
+}
+
+/**
+ * Turn the request body into raw zone records
+ * Accepts CSV text, a JSON array, or a JSON object with a `zones` array
+ */
+function extractRecords(body) {
+  if (typeof body === 'string') {
+    return parseCsv(body);
+  }
+  const list = Array.isArray(body) ? body : body?.zones;
+  if (!Array.isArray(list)) {
+    return null;
+  }
+  // JSON rows are numbered from 1
+  return list.map((record, index) => ({ ...record, _line: index + 1 }));
+}
+
+/**
+ * Validate raw records for a warehouse
+ * Rows belonging to a different warehouse_id are skipped, so the full
+ * multi-warehouse CSV can be posted to each warehouse in turn
+ * @returns {Object} - { zones, errors, skipped }
+ */
+function validateRecords(warehouseId, records) {
+  const zones = [];
+  const errors = [];
+  const seen = new Map();
+  let skipped = 0;
+
+  for (const record of records) {
+    const row = record._line;
+
+    if (record.warehouse_id !== undefined && record.warehouse_id !== '' &&
+        String(record.warehouse_id) !== String(warehouseId)) {
+      skipped++;
+      continue;
+    }
+
+    const definition = normalizeZoneDefinition({
+      postcode: record.postcode,
+      prefix: parseFlag(record.prefix),
+      range_end: record.range_end
+    });
+    if (definition.error) {
+      errors.push({ row, postcode: record.postcode ?? null, error: definition.error });
+      continue;
+    }
+
+    const zone = {
+      ...definition.zone,
+      exclude: parseFlag(record.exclude),
+      note: record.note ? String(record.note).trim() : null
+    };
+    const key = zoneKey(zone);
+    if (seen.has(key)) {
+      errors.push({ row, postcode: record.postcode, error: `Duplicate of row ${seen.get(key)}` });
+      continue;
+    }
+    seen.set(key, row);
+    zones.push(zone);
+  }
+
+  return { zones, errors, skipped };
+}
+
+/**
+ * Diff incoming zones against existing zones
+ * merge: existing zones are kept; replace: zones missing from the import are removed
+ * A zone whose note differs from the import is updated in place
+ */
+function diffZones(existing, incoming, mode) {
+  const existingByKey = new Map(existing.map(zone => [storedZoneKey(zone), zone]));
+  const incomingKeys = new Set();
+
+  const added = [];
+  const updated = [];
+  const unchanged = [];
+  for (const zone of incoming) {
+    const key = zoneKey(zone);
+    incomingKeys.add(key);
+    const current = existingByKey.get(key);
+    if (!current) {
+      added.push(zone);
+    } else if ((current.note || null) !== zone.note) {
+      updated.push({ ...current, note: zone.note });
+    } else {
+      unchanged.push(current);
+    }
+  }
+
+  const removed = mode === 'replace'
+    ? existing.filter(zone => !incomingKeys.has(storedZoneKey(zone)))
+    : [];
+
+  return { added, updated, removed, unchanged };
+}
+
+/**
+ * Apply a diff in one transaction
+ */
+async function applyDiff(warehouseId, diff) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    if (diff.removed.length > 0) {
+      await connection.query('DELETE FROM zones WHERE warehouse_id = ? AND id IN (?)', [
+        warehouseId,
+        diff.removed.map(zone => zone.id)
+      ]);
+    }
+
+    if (diff.added.length > 0) {
+      await connection.query('INSERT INTO zones (warehouse_id, postcode, prefix, range_end, exclude, note) VALUES ?', [
+        diff.added.map(zone => [
+          warehouseId,
+          zone.postcode,
+          zone.prefix ? 1 : 0,
+          zone.range_end,
+          zone.exclude ? 1 : 0,
+          zone.note
+        ])
+      ]);
+    }
+
+    for (const zone of diff.updated) {
+      await connection.query('UPDATE zones SET note = ? WHERE warehouse_id = ? AND id = ?', [zone.note, warehouseId, zone.id]);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Import zones for a warehouse
+ * @param {number} warehouseId - Warehouse ID
+ * @param {string|Object|Array} body - CSV text or JSON rows
+ * @param {Object} options - { mode: 'merge'|'replace', dryRun: boolean }
+ * @returns {Promise<Object>} - { applied, errors, skipped, summary, added, updated, removed, unchanged }
+ */
+async function importZones(warehouseId, body, { mode = 'merge', dryRun = false } = {}) {
+  const records = extractRecords(body);
+  if (!records) {
+    const error = new Error('Body must be CSV text, a JSON array, or { "zones": [...] }');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { zones, errors, skipped } = validateRecords(warehouseId, records);
+  const existing = await query('SELECT * FROM zones WHERE warehouse_id = ?', [warehouseId]);
+  const diff = diffZones(existing, zones, mode);
+
+  // Row-level errors block the write so a partial file never replaces good data
+  const applied = !dryRun && errors.length === 0;
+  if (applied && (diff.added.length > 0 || diff.updated.length > 0 || diff.removed.length > 0)) {
+    await applyDiff(warehouseId, diff);
+  }
+
+  return {
+    mode,
+    dryRun,
+    applied,
+    summary: {
+      rows: records.length,
+      skipped,
+      errors: errors.length,
+      added: diff.added.length,
+      updated: diff.updated.length,
+      removed: diff.removed.length,
+      unchanged: diff.unchanged.length
+    },
+    errors,
+    added: diff.added,
+    updated: diff.updated,
+    removed: diff.removed,
+    unchanged: diff.unchanged
+  };
+}
+
+/**
+ * Export a warehouse's zones in the zones_import_final.csv format
+ * Warehouses with range or exclusion zones get the extended format, since the
+ * four source columns can't describe them
+ */
+async function exportZonesCsv(warehouseId) {
+  const zones = await query(
+    'SELECT warehouse_id, postcode, prefix, note, range_end, exclude FROM zones WHERE warehouse_id = ? ORDER BY postcode',
+    [warehouseId]
+  );
+  const extended = zones.some(zone => zone.range_end || zone.exclude);
+  return toCsv(zones.map(zone => ({
+    ...zone,
+    prefix: zone.prefix ? 1 : 0,
+    exclude: zone.exclude ? 1 : 0
+  })), extended ? EXTENDED_ZONE_CSV_COLUMNS : ZONE_CSV_COLUMNS);
+}
+
+module.exports = {
+  IMPORT_MODES,
+  importZones,
+  exportZonesCsv,
+  parseFlag
+};
@@ -1,15 +1,19 @@
 /**
  * Zone lookup service
  * Handles postcode matching against warehouse zones
- * Uses in-memory cache for fast lookups
+ * Uses in-memory cache, indexed by postcode at load time (see utils/zoneIndex for precedence)
  */
 
 const { query } = require('../db/config');
-const { normalizePostcode, matchesZone } = require('../utils/postcode');
+const { normalizePostcode, getZoneType } = require('../utils/postcode');
+const { buildZoneIndex, lookupCandidates, isAmbiguous } = require('../utils/zoneIndex');
+const { loadRatesCache, ensureRatesFresh, resolveRate } = require('./rateService');
 
 // In-memory cache for zones
 let zonesCache = null;
+let zonesIndex = null;
 let cacheTimestamp = null;
+let zonesRefresh = null; // In-flight background refresh, shared by concurrent requests
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 /**
@@ -24,27 +28,40 @@ async function loadZonesCache() {
         z.warehouse_id,
         z.postcode,
         z.prefix,
+        z.range_end,
+        z.exclude,
+        z.lead_time_min_days,
+        z.lead_time_max_days,
         w.name as warehouse_name,
-        w.status as warehouse_status
+        w.suburb as warehouse_suburb,
+        w.state as warehouse_state,
+        w.dispatch_cutoff,
+        w.status as warehouse_status,
+        w.pricing_mode,
+        w.priority as warehouse_priority
       FROM zones z
       INNER JOIN warehouses w ON z.warehouse_id = w.id
       WHERE w.status = 'active'
     `);
 
+    zonesIndex = buildZoneIndex(zones);
     zonesCache = zones;
     cacheTimestamp = Date.now();
-    console.log(`Loaded ${zones.length} zones into cache`);
+    console.log(`Loaded ${zones.length} zones into cache (${zonesIndex.postcodeCount} postcodes indexed)`);
     return zones;
   } catch (error) {
     console.error('Error loading zones cache:', error.message);
     // Don't throw - allow server to continue
-    // Cache will remain null/empty, and we'll handle it in findMatchingZone
+    // Keep serving the last-known zones; with none loaded yet we handle it in findMatchingZone
     if (error.code === 'ETIMEDOUT' || error.code === 'ECONNREFUSED') {
-      console.warn('⚠️  Database connection issue - zones cache not loaded');
+      console.warn(`⚠️  Database connection issue - ${zonesCache ? 'keeping last-known zones cache' : 'zones cache not loaded'}`);
       console.warn('   Will retry on next request');
     }
-    // Return empty array so cache is marked as attempted
-    zonesCache = [];
+    // Mark the cache as attempted (an empty one when nothing was ever loaded)
+    if (!zonesCache) {
+      zonesCache = [];
+      zonesIndex = buildZoneIndex([]);
+    }
     cacheTimestamp = Date.now();
     return [];
   }
@@ -52,30 +69,56 @@ async function loadZonesCache() {
 
 /**
  * Refresh cache if expired
- * Handles database errors gracefully
+ * Stale-while-revalidate: once zones are loaded an expired cache is refreshed
+ * in the background and the last-known zones are served meanwhile, so a slow
+ * database never sits in the carrier callback's path. Only a cold cache waits.
  */
 async function ensureCacheFresh() {
-  if (!zonesCache || !cacheTimestamp || (Date.now() - cacheTimestamp > CACHE_TTL)) {
-    try {
-      await loadZonesCache();
-    } catch (error) {
-      console.warn('⚠️  Failed to refresh zones cache:', error.message);
-      // Continue with existing cache if available
-      if (!zonesCache || zonesCache.length === 0) {
-        console.warn('   No zones available - all postcodes will return inquiry option');
-      }
-    }
+  if (zonesCache && cacheTimestamp && (Date.now() - cacheTimestamp <= CACHE_TTL)) {
+    return;
+  }
+  if (!zonesRefresh) {
+    zonesRefresh = loadZonesCache()
+      .catch(error => console.warn('⚠️  Failed to refresh zones cache:', error.message))
+      .finally(() => { zonesRefresh = null; });
+  }
+  if (zonesCache) {
+    return;
+  }
+
+  await zonesRefresh;
+  if (!zonesCache || zonesCache.length === 0) {
+    console.warn('   No zones available - all postcodes will return inquiry option');
   }
 }
 
+/**
+ * Attach warehouse pricing and dispatch details, zone lead times and the
+ * resolved rate table entry to a zone match
+ */
+function withRate(match, zone, postcode) {
+  return {
+    ...match,
+    warehouseSuburb: zone.warehouse_suburb,
+    warehouseState: zone.warehouse_state,
+    dispatchCutoff: zone.dispatch_cutoff,
+    leadTimeMinDays: zone.lead_time_min_days,
+    leadTimeMaxDays: zone.lead_time_max_days,
+    pricingMode: zone.pricing_mode || 'flat',
+    rate: resolveRate(match, postcode)
+  };
+}
+
 /**
  * Find matching warehouse zone for a postcode
- * Returns warehouse info if match found, null otherwise
+ * Returns warehouse info and the resolved rate if match found, null otherwise
  * Handles database/cache errors gracefully
+ * @param {Object} options - { warehouseIds } to only consider zones of these warehouses
  */
-async function findMatchingZone(postcode) {
+async function findMatchingZone(postcode, { warehouseIds } = {}) {
   try {
     await ensureCacheFresh();
+    await ensureRatesFresh();
   } catch (error) {
     console.warn('⚠️  Error ensuring cache fresh:', error.message);
     // Continue with existing cache or empty cache
@@ -92,38 +135,78 @@ async function findMatchingZone(postcode) {
     return null;
   }
 
-  // First try exact matches
-  for (const zone of zonesCache) {
-    if (!zone.prefix && matchesZone(normalized, zone.postcode, false)) {
-      return {
-        zoneId: zone.id,
-        warehouseId: zone.warehouse_id,
-        warehouseName: zone.warehouse_name,
-        matchType: 'exact'
-      };
-    }
+  const candidates = lookupCandidates(zonesIndex, normalized);
+  const best = warehouseIds
+    ? candidates.find(zone => warehouseIds.includes(zone.warehouse_id))
+    : candidates[0];
+  if (!best) {
+    return null;
   }
 
-  // Then try prefix matches
-  for (const zone of zonesCache) {
-    if (zone.prefix && matchesZone(normalized, zone.postcode, true)) {
-      return {
-        zoneId: zone.id,
-        warehouseId: zone.warehouse_id,
-        warehouseName: zone.warehouse_name,
-        matchType: 'prefix'
-      };
-    }
-  }
+  return withRate({
+    zoneId: best.id,
+    warehouseId: best.warehouse_id,
+    warehouseName: best.warehouse_name,
+    matchType: getZoneType(best)
+  }, best, normalized);
+}
+
+/**
+ * Report postcodes covered by more than one active warehouse and which one wins
+ * @param {Object} options - { warehouseId, postcodes } to limit the report
+ * @returns {Promise<Array>} - [{ postcode, winner, ambiguous, candidates }]
+ */
+async function getZoneOverlaps({ warehouseId, postcodes } = {}) {
+  await ensureCacheFresh();
+
+  const overlaps = [];
+  zonesIndex.table.forEach((candidates, value) => {
+    if (!candidates || candidates.length < 2) return;
+
+    const postcode = String(value).padStart(4, '0');
+    if (postcodes && !postcodes.has(postcode)) return;
+
+    const warehouseIds = new Set(candidates.map(zone => zone.warehouse_id));
+    if (warehouseIds.size < 2) return;
+    if (warehouseId && !warehouseIds.has(Number(warehouseId))) return;
 
-  return null;
+    // Best zone per warehouse - the runner-up decides whether the winner is ambiguous
+    const [winner, runnerUp] = candidates.filter((zone, index, list) =>
+      list.findIndex(other => other.warehouse_id === zone.warehouse_id) === index
+    );
+
+    overlaps.push({
+      postcode,
+      winner: formatOverlapZone(winner),
+      ambiguous: isAmbiguous(winner, runnerUp),
+      candidates: candidates.map(formatOverlapZone)
+    });
+  });
+
+  return overlaps;
+}
+
+/**
+ * Shape a cached zone row for overlap reports
+ */
+function formatOverlapZone(zone) {
+  return {
+    zoneId: zone.id,
+    warehouseId: zone.warehouse_id,
+    warehouseName: zone.warehouse_name,
+    priority: zone.warehouse_priority || 0,
+    matchType: getZoneType(zone),
+    postcode: zone.postcode,
+    rangeEnd: zone.range_end || null
+  };
 }
 
 /**
- * Force refresh the zones cache (call after admin updates)
+ * Force refresh the zones and rates caches (call after admin updates)
  */
 async function refreshCache() {
   await loadZonesCache();
+  await loadRatesCache();
 }
 
 /**
@@ -139,6 +222,7 @@ function getCacheStatus() {
 
 module.exports = {
   findMatchingZone,
+  getZoneOverlaps,
   loadZonesCache,
   refreshCache,
   ensureCacheFresh,
@@ -0,0 +1,64 @@
+/**
+ * Checkout fingerprint utilities
+ * Carrier callbacks carry no checkout or session ID, and guests usually have no
+ * email yet, so repeated callbacks from one checkout are recognised by hashing
+ * what stays the same while the customer edits their address: the shop, the
+ * cart and who is checking out
+ */
+
+const crypto = require('crypto');
+
+function normalizeText(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Last 9 digits, so "+61 412 345 678" and "0412345678" match
+ */
+function normalizePhone(value) {
+  return String(value || '').replace(/\D/g, '').slice(-9);
+}
+
+/**
+ * Cart as "<variant or product or title>x<quantity>" entries, sorted so line order doesn't matter
+ */
+function normalizeCart(items) {
+  return (items || [])
+    .map(item => `${item.variant_id || item.product_id || normalizeText(item.name || item.title)}x${parseInt(item.quantity) || 1}`)
+    .sort()
+    .join(',');
+}
+
+/**
+ * Stable SHA-256 fingerprint for the checkout a carrier request came from
+ * Name and phone identify the customer; the address lines are only used when
+ * both are missing, so an address change keeps the same hash whenever possible
+ * @param {Object} payload - Carrier service request body ({ rate: { destination, items } })
+ * @param {string} shopDomain - Shop the request came from
+ * @returns {string|null} - Hex hash, or null when there is nothing to identify the checkout by
+ */
+function getCheckoutSessionHash(payload, shopDomain) {
+  const rate = payload?.rate || {};
+  const destination = rate.destination || {};
+  const customer = rate.customer || {};
+
+  const cart = normalizeCart(rate.items);
+  const name = normalizeText(destination.name || [destination.first_name || customer.first_name, destination.last_name || customer.last_name].filter(Boolean).join(' '));
+  const phone = normalizePhone(destination.phone || customer.phone);
+
+  let identity = [name, phone];
+  if (!name && !phone) {
+    identity = [normalizeText(destination.address1), normalizeText(destination.address2)];
+    if (!identity[0]) return null;
+  }
+  if (!cart) return null;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([normalizeText(shopDomain), cart, ...identity]))
+    .digest('hex');
+}
+
+module.exports = {
+  getCheckoutSessionHash
+};
@@ -0,0 +1,102 @@
+/**
+ * Minimal CSV parsing and formatting utilities
+ * Handles quoted fields, escaped quotes, CRLF line endings and a UTF-8 BOM
+ */
+
+/**
+ * Parse CSV text into rows of string fields
+ * @returns {Array} - [{ fields: [string], line }] where line is the 1-based source line the row starts on
+ */
+function parseCsvRows(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // Line breaks inside quoted fields still count towards source line numbers
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ fields: row, line: rowLine });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ fields: row, line: rowLine });
+  }
+
+  // Drop blank lines (after numbering, so later rows keep their source line)
+  return rows.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header name
+ * Each object also carries its 1-based source line number as `_line`
+ */
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].fields.map(header => header.trim().toLowerCase());
+  return rows.slice(1).map(({ fields, line }) => {
+    const record = { _line: line };
+    headers.forEach((header, column) => {
+      record[header] = fields[column] !== undefined ? fields[column].trim() : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Quote a value for CSV output when needed
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format objects as CSV text with the given columns as header
+ */
+function toCsv(records, columns) {
+  const lines = [columns.join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCsvValue(record[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  escapeCsvValue
+};
@@ -0,0 +1,70 @@
+/**
+ * Latency budget utilities
+ * A request-scoped deadline that hands each dependency a slice of the time
+ * left, and a race helper that stops waiting for slow work without
+ * cancelling it (the work finishes in the background, kept alive with
+ * waitUntil so Vercel doesn't freeze the function once the response is sent)
+ */
+
+const { waitUntil } = require('@vercel/functions');
+
+const TIMED_OUT = Symbol('timedOut');
+
+/**
+ * Start a deadline for a request
+ * @param {number} budgetMs - Total time the request may take
+ * @returns {Object} - { budgetMs, at, elapsed(), remaining(), expired(), slice(share) }
+ */
+function createDeadline(budgetMs) {
+  const startedAt = Date.now();
+  const at = startedAt + budgetMs;
+
+  return {
+    budgetMs,
+    at,
+    elapsed: () => Date.now() - startedAt,
+    remaining: () => Math.max(at - Date.now(), 0),
+    expired: () => Date.now() >= at,
+    // A share (0-1) of the whole budget, never more than what is left
+    slice: share => Math.max(Math.min(Math.round(budgetMs * share), at - Date.now()), 0)
+  };
+}
+
+/**
+ * Wait for a promise for at most timeoutMs
+ * Errors before the timeout are rethrown; errors after it (nobody is waiting
+ * any more) are logged with the label instead of becoming unhandled rejections
+ * @param {Promise} promise - Work already in progress
+ * @param {number} timeoutMs - How long to wait
+ * @param {string} label - Describes the work in logs
+ * @returns {Promise<Object>} - { timedOut, value }
+ */
+async function withinBudget(promise, timeoutMs, label = 'work') {
+  let timer;
+  let timedOut = false;
+  const work = Promise.resolve(promise);
+  work.catch(error => {
+    if (timedOut) console.warn(`⚠️  ${label} failed after its latency budget ran out:`, error.message);
+  });
+
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, Math.max(timeoutMs, 0), TIMED_OUT);
+  });
+
+  try {
+    const value = await Promise.race([work, timeout]);
+    if (value === TIMED_OUT) {
+      timedOut = true;
+      waitUntil(work.catch(() => {}));
+      return { timedOut: true, value: undefined };
+    }
+    return { timedOut: false, value };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  createDeadline,
+  withinBudget
+};
@@ -0,0 +1,216 @@
+/**
+ * Delivery date utilities
+ * Business-day arithmetic in Australian state time zones, used to fill
+ * min_delivery_date / max_delivery_date on carrier rates
+ * Dates are handled as 'YYYY-MM-DD' strings in the warehouse's local time
+ */
+
+const DEFAULT_TIMEZONE = 'Australia/Sydney';
+
+const STATE_TIMEZONES = {
+  NSW: 'Australia/Sydney',
+  ACT: 'Australia/Sydney',
+  VIC: 'Australia/Melbourne',
+  QLD: 'Australia/Brisbane',
+  SA: 'Australia/Adelaide',
+  WA: 'Australia/Perth',
+  TAS: 'Australia/Hobart',
+  NT: 'Australia/Darwin'
+};
+
+const STATE_NAMES = {
+  'NEW SOUTH WALES': 'NSW',
+  'AUSTRALIAN CAPITAL TERRITORY': 'ACT',
+  VICTORIA: 'VIC',
+  QUEENSLAND: 'QLD',
+  'SOUTH AUSTRALIA': 'SA',
+  'WESTERN AUSTRALIA': 'WA',
+  TASMANIA: 'TAS',
+  'NORTHERN TERRITORY': 'NT'
+};
+
+/**
+ * Normalize a state code or name ("nsw", "New South Wales") to its abbreviation
+ * Returns null for unknown values
+ */
+function normalizeState(state) {
+  if (!state) return null;
+  const value = String(state).trim().toUpperCase();
+  if (STATE_TIMEZONES[value]) return value;
+  return STATE_NAMES[value] || null;
+}
+
+/**
+ * IANA time zone for a state (defaults to Sydney)
+ */
+function getStateTimezone(state) {
+  return STATE_TIMEZONES[normalizeState(state)] || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Parse a dispatch cut-off ('14:00' or MySQL TIME '14:00:00') into minutes after midnight
+ * Returns null when missing or invalid
+ */
+function parseCutoff(cutoff) {
+  if (!cutoff) return null;
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(cutoff).trim());
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate optional min/max lead times (business days)
+ * Returns an error message, or null when valid
+ */
+function validateLeadTimes(minDays, maxDays) {
+  for (const [field, value] of [['lead_time_min_days', minDays], ['lead_time_max_days', maxDays]]) {
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0)) {
+      return `${field} must be a non-negative integer (business days)`;
+    }
+  }
+  if (Number.isInteger(minDays) && Number.isInteger(maxDays) && maxDays < minDays) {
+    return 'lead_time_max_days must be greater than or equal to lead_time_min_days';
+  }
+  return null;
+}
+
+/**
+ * Local calendar date and minutes after midnight for an instant in a time zone
+ */
+function getLocalDateTime(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat('en-AU', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant)) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Add calendar days to a 'YYYY-MM-DD' date
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * True for Monday-Friday dates that are not in the holiday set
+ */
+function isBusinessDay(date, holidays) {
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !(holidays && holidays.has(date));
+}
+
+/**
+ * Move forward to the next business day (or stay if `date` already is one)
+ */
+function nextBusinessDay(date, holidays) {
+  let current = date;
+  while (!isBusinessDay(current, holidays)) {
+    current = addDays(current, 1);
+  }
+  return current;
+}
+
+/**
+ * Add business days to a date, skipping weekends and holidays
+ */
+function addBusinessDays(date, days, holidays) {
+  let current = date;
+  for (let added = 0; added < days;) {
+    current = addDays(current, 1);
+    if (isBusinessDay(current, holidays)) added++;
+  }
+  return current;
+}
+
+/**
+ * Date the order leaves the warehouse
+ * Orders after the cut-off, or on a weekend/holiday, dispatch the next business day
+ */
+function getDispatchDate({ now = new Date(), timeZone = DEFAULT_TIMEZONE, cutoff = null, holidays = null }) {
+  const local = getLocalDateTime(now, timeZone);
+  const cutoffMinutes = parseCutoff(cutoff);
+  const today = isBusinessDay(local.date, holidays) &&
+    (cutoffMinutes === null || local.minutes < cutoffMinutes);
+  return today ? local.date : nextBusinessDay(addDays(local.date, 1), holidays);
+}
+
+/**
+ * UTC offset of a time zone at the start of a local date, as '+1100'
+ */
+function getUtcOffset(date, timeZone) {
+  const offsetAt = instant => {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+      .formatToParts(instant)
+      .find(part => part.type === 'timeZoneName').value;
+    const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+    return match ? (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10)) : 0;
+  };
+
+  // Evaluate at local midnight: guess with the offset at UTC midnight, then correct once
+  const [year, month, day] = date.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  const offset = offsetAt(new Date(utcMidnight - offsetAt(new Date(utcMidnight)) * 60000));
+
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format a local date the way Shopify expects carrier delivery dates ('2026-10-21 00:00:00 +1100')
+ */
+function formatShopifyDate(date, timeZone = DEFAULT_TIMEZONE) {
+  return `${date} 00:00:00 ${getUtcOffset(date, timeZone)}`;
+}
+
+/**
+ * Estimate the delivery window for an order placed `now`
+ * Dispatch follows the warehouse's cut-off and holidays; transit days skip the destination's holidays
+ * @returns {Object} - { dispatchDate, minDate, maxDate } as 'YYYY-MM-DD'
+ */
+function estimateDeliveryWindow({
+  now = new Date(),
+  timeZone = DEFAULT_TIMEZONE,
+  cutoff = null,
+  minDays,
+  maxDays,
+  dispatchHolidays = null,
+  deliveryHolidays = null
+}) {
+  const dispatchDate = getDispatchDate({ now, timeZone, cutoff, holidays: dispatchHolidays });
+  return {
+    dispatchDate,
+    minDate: addBusinessDays(dispatchDate, minDays, deliveryHolidays),
+    maxDate: addBusinessDays(dispatchDate, maxDays, deliveryHolidays)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  normalizeState,
+  getStateTimezone,
+  parseCutoff,
+  validateLeadTimes,
+  isBusinessDay,
+  addBusinessDays,
+  getDispatchDate,
+  formatShopifyDate,
+  estimateDeliveryWindow
+};
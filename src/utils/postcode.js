@@ -1,6 +1,7 @@
 /**
  * Postcode normalization and matching utilities
  * Handles Australian postcode format (4 digits)
+ * Zones can be exact postcodes, prefixes ("30*") or inclusive ranges (2619-2899)
  */
 
 /**
@@ -46,6 +47,123 @@ function matchesZone(postcode, zonePostcode, isPrefix) {
   }
 }
 
+/**
+ * Check if a postcode falls within an inclusive numeric range (e.g. 2619-2899)
+ */
+function matchesRange(postcode, rangeStart, rangeEnd) {
+  const normalized = normalizePostcode(postcode);
+  const start = normalizePostcode(rangeStart);
+  const end = normalizePostcode(rangeEnd);
+  if (!normalized || !start || !end) return false;
+
+  const value = parseInt(normalized, 10);
+  return value >= parseInt(start, 10) && value <= parseInt(end, 10);
+}
+
+/**
+ * Check if a postcode matches a zone row of any type (exact, prefix or range)
+ * Zone rows have { postcode, prefix, range_end }
+ */
+function matchesZoneRow(postcode, zone) {
+  if (zone.range_end) {
+    return matchesRange(postcode, zone.postcode, zone.range_end);
+  }
+  return matchesZone(postcode, zone.postcode, !!zone.prefix);
+}
+
+/**
+ * Get the type of a zone row: 'range', 'prefix' or 'exact'
+ */
+function getZoneType(zone) {
+  if (zone.range_end) return 'range';
+  return zone.prefix ? 'prefix' : 'exact';
+}
+
+/**
+ * Get the inclusive numeric bounds a zone row covers
+ * e.g. exact 3000 -> 3000-3000, prefix 26 -> 2600-2699, range 2619-2899 -> 2619-2899
+ */
+function getZoneBounds(zone) {
+  const type = getZoneType(zone);
+  if (type === 'range') {
+    return { start: parseInt(zone.postcode, 10), end: parseInt(zone.range_end, 10) };
+  }
+  if (type === 'prefix') {
+    const pattern = String(zone.postcode).replace(/\*/g, '');
+    const padding = 4 - pattern.length;
+    const start = parseInt(pattern.padEnd(4, '0'), 10);
+    return { start, end: start + Math.pow(10, padding) - 1 };
+  }
+  const value = parseInt(normalizePostcode(zone.postcode), 10);
+  return { start: value, end: value };
+}
+
+/**
+ * Validate and normalize a zone definition from admin input
+ * @param {Object} zone - { postcode, prefix, range_end }
+ * @returns {Object} - { zone: { postcode, prefix, range_end } } or { error }
+ */
+function normalizeZoneDefinition({ postcode, prefix, range_end: rangeEnd }) {
+  const raw = String(postcode ?? '').trim();
+  if (!raw) {
+    return { error: 'Postcode is required' };
+  }
+
+  if (rangeEnd !== undefined && rangeEnd !== null && String(rangeEnd).trim() !== '') {
+    if (prefix) {
+      return { error: 'A zone can be a prefix or a range, not both' };
+    }
+    const start = normalizePostcode(raw);
+    const end = normalizePostcode(rangeEnd);
+    if (!start || !end) {
+      return { error: 'Range start (postcode) and range_end must be 4-digit postcodes' };
+    }
+    if (parseInt(start, 10) > parseInt(end, 10)) {
+      return { error: 'Range start (postcode) must not be greater than range_end' };
+    }
+    return { zone: { postcode: start, prefix: false, range_end: end } };
+  }
+
+  if (prefix) {
+    const pattern = raw.replace(/\*/g, '');
+    if (!/^\d{1,4}$/.test(pattern)) {
+      return { error: 'Prefix must be 1-4 digits (e.g. "30" or "30*")' };
+    }
+    return { zone: { postcode: pattern, prefix: true, range_end: null } };
+  }
+
+  const exact = normalizePostcode(raw);
+  if (!exact) {
+    return { error: 'Postcode must be 4 digits' };
+  }
+  return { zone: { postcode: exact, prefix: false, range_end: null } };
+}
+
+/**
+ * Parse a comma-separated postcode list into zone-like rows
+ * Tokens: exact ("3150"), prefix ("30*") or inclusive range ("2000-2234")
+ * @returns {Object} - { zones } or { error } naming the first invalid token
+ */
+function parsePostcodeList(list) {
+  const zones = [];
+  const tokens = String(list || '').split(',').map(token => token.trim()).filter(Boolean);
+
+  for (const token of tokens) {
+    const [start, end] = token.split('-').map(part => part.trim());
+    const definition = normalizeZoneDefinition({
+      postcode: start,
+      prefix: end === undefined && start.endsWith('*'),
+      range_end: end
+    });
+    if (definition.error) {
+      return { error: `Invalid postcode "${token}": ${definition.error}` };
+    }
+    zones.push(definition.zone);
+  }
+
+  return { zones };
+}
+
 /**
  * Extract postcode from Shopify carrier request payload
  * Handles various payload structures
@@ -77,6 +195,12 @@ function extractPostcodeFromPayload(payload) {
 module.exports = {
   normalizePostcode,
   matchesZone,
+  matchesRange,
+  matchesZoneRow,
+  getZoneType,
+  getZoneBounds,
+  normalizeZoneDefinition,
+  parsePostcodeList,
   extractPostcodeFromPayload
 };
 
@@ -0,0 +1,32 @@
+/**
+ * Inquiry product details utilities
+ * Parses the text stored in inquiries.product_details by the carrier callback,
+ * e.g. "2x Sofa - $1200.00, 1x Side Table - $150.00"
+ */
+
+// One "<qty>x <title> - $<price>" entry, followed by ", " or the end of the text
+const ITEM_PATTERN = /(\d+)x (.+?) - \$(\d+(?:\.\d+)?)(?=, \d+x |$)/g;
+
+/**
+ * Best-effort parse of a product details string
+ * Titles containing ", <n>x " can split incorrectly; text that doesn't match returns []
+ * @param {string} text - Stored product details
+ * @returns {Array} - [{ title, quantity, priceCents }] (priceCents is the unit price)
+ */
+function parseProductDetails(text) {
+  if (!text) return [];
+
+  const items = [];
+  for (const match of String(text).matchAll(ITEM_PATTERN)) {
+    items.push({
+      title: match[2].trim(),
+      quantity: parseInt(match[1], 10),
+      priceCents: Math.round(parseFloat(match[3]) * 100)
+    });
+  }
+  return items;
+}
+
+module.exports = {
+  parseProductDetails
+};
@@ -0,0 +1,111 @@
+/**
+ * Zone lookup index
+ * Precomputes the ranked candidate zones for every postcode 0000-9999 so a
+ * lookup is a single array access instead of a scan over all zones
+ *
+ * Precedence when several zones match a postcode:
+ * 1. Most specific zone wins (fewest postcodes covered: exact > longer prefix > shorter prefix/wider range)
+ * 2. Higher warehouse priority wins
+ * 3. Lowest warehouse ID, then lowest zone ID (deterministic tie-break, reported as ambiguous)
+ */
+
+const { getZoneBounds } = require('./postcode');
+
+const POSTCODE_COUNT = 10000;
+
+/**
+ * Inclusive bounds clamped to 0000-9999, or null for unusable zone rows
+ */
+function getIndexBounds(zone) {
+  const { start, end } = getZoneBounds(zone);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return null;
+  return { start: Math.max(start, 0), end: Math.min(end, POSTCODE_COUNT - 1) };
+}
+
+/**
+ * Number of postcodes a zone covers (smaller = more specific)
+ */
+function zoneSpan(zone) {
+  const { start, end } = getZoneBounds(zone);
+  return end - start + 1;
+}
+
+/**
+ * Build a comparator implementing zone precedence (best match first)
+ */
+function createZoneComparator(spans) {
+  return (a, b) =>
+    (spans.get(a) - spans.get(b)) ||
+    ((b.warehouse_priority || 0) - (a.warehouse_priority || 0)) ||
+    (a.warehouse_id - b.warehouse_id) ||
+    (a.id - b.id);
+}
+
+/**
+ * True when two zones from different warehouses would only be ordered by the ID tie-break
+ */
+function isAmbiguous(a, b) {
+  return !!a && !!b &&
+    a.warehouse_id !== b.warehouse_id &&
+    zoneSpan(a) === zoneSpan(b) &&
+    (a.warehouse_priority || 0) === (b.warehouse_priority || 0);
+}
+
+/**
+ * Build the postcode lookup table from cached zone rows
+ * Exclusion zones remove their warehouse's coverage zones from the affected postcodes
+ * @param {Array} zones - Zone rows ({ id, warehouse_id, postcode, prefix, range_end, exclude, warehouse_priority })
+ * @returns {Object} - { table, postcodeCount } where table[n] is the ranked candidate list or null
+ */
+function buildZoneIndex(zones) {
+  const table = new Array(POSTCODE_COUNT).fill(null);
+  const excluded = new Array(POSTCODE_COUNT).fill(null);
+  const spans = new Map();
+
+  for (const zone of zones) {
+    if (!zone.exclude) continue;
+    const bounds = getIndexBounds(zone);
+    if (!bounds) continue;
+    for (let value = bounds.start; value <= bounds.end; value++) {
+      if (!excluded[value]) excluded[value] = new Set();
+      excluded[value].add(zone.warehouse_id);
+    }
+  }
+
+  for (const zone of zones) {
+    if (zone.exclude) continue;
+    const bounds = getIndexBounds(zone);
+    if (!bounds) continue;
+    spans.set(zone, zoneSpan(zone));
+    for (let value = bounds.start; value <= bounds.end; value++) {
+      if (excluded[value] && excluded[value].has(zone.warehouse_id)) continue;
+      if (!table[value]) table[value] = [];
+      table[value].push(zone);
+    }
+  }
+
+  const compare = createZoneComparator(spans);
+  let postcodeCount = 0;
+  for (const candidates of table) {
+    if (!candidates) continue;
+    postcodeCount++;
+    if (candidates.length > 1) candidates.sort(compare);
+  }
+
+  return { table, postcodeCount };
+}
+
+/**
+ * Ranked candidate zones for a normalized 4-digit postcode (best match first)
+ */
+function lookupCandidates(index, normalized) {
+  if (!index) return [];
+  return index.table[parseInt(normalized, 10)] || [];
+}
+
+module.exports = {
+  POSTCODE_COUNT,
+  buildZoneIndex,
+  lookupCandidates,
+  isAmbiguous
+};